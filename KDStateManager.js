@@ -6,6 +6,91 @@
  * @fileoverview 
  */
 
+/**
+ *  The whole module is built inside one function so that loading it with a plain `<script>` declares only
+ *  `KDStateManager`. Error classes and helpers are reached through its statics, such as `KDStateManager.errors`.
+ */
+const KDStateManager = (_ => {
+
+/**
+ *  Base class for every error reported by `KDStateManager`. Subclasses set `code`; context such as the `index` or `key`
+ *  involved is copied onto the error.
+ */
+class KDStateManagerError extends Error {
+    /**
+     * @param {string} code - See `KDStateManager.errors.codes`.
+     * @param {string} message - Description. The first line names the failed operation.
+     * @param {object=} context - Properties copied onto the error, e.g. `{ index: 4 }`.
+     */
+    constructor(code, message, context) {
+        super(message)
+        this.name = this.constructor.name
+        this.code = code
+        Object.assign(this, context)
+    }
+}
+
+/** An index is out of range. Carries `index`. */
+class InvalidIndexError extends KDStateManagerError {
+    constructor(message, context) { super('INVALID_INDEX', message, context) }
+}
+
+/** An entry id, bookmark, tree node, or migration does not exist. Carries `id`, `name`, `node`, or `version`. */
+class NotFoundError extends KDStateManagerError {
+    constructor(message, context) { super('NOT_FOUND', message, context) }
+}
+
+/** A template has entries that are not functions or descriptors. Carries the invalid `keys`. */
+class InvalidTemplateError extends KDStateManagerError {
+    constructor(message, context) { super('INVALID_TEMPLATE', message, context) }
+}
+
+/** A state failed the template descriptors. Carries `key` (the first failing key) and `errors` as `{ key, message }`. */
+class InvalidStateError extends KDStateManagerError {
+    constructor(message, context) { super('INVALID_STATE', message, context) }
+}
+
+/** A snapshot could not be imported, or an encrypted adapter refused it. Carries `reason`, and `key` if refused. */
+class InvalidSnapshotError extends KDStateManagerError {
+    constructor(message, context) { super('INVALID_SNAPSHOT', message, context) }
+}
+
+/** Any other argument is invalid, or the operation needs a mode that is not enabled. */
+class InvalidArgumentError extends KDStateManagerError {
+    constructor(message, context) { super('INVALID_ARGUMENT', message, context) }
+}
+
+/**
+ * A storage adapter failed or a key is missing. Carries `key`, the adapter error as `cause`, and `quota`, `true` if the
+ * storage is full.
+ */
+class StorageError extends KDStateManagerError {
+    constructor(message, context) { super('STORAGE_FAILURE', message, context) }
+}
+
+/**
+ * A template function or event listener threw or rejected. Carries `key`, `keys`, and `errors` for template functions,
+ * or `event` and `cause` for listeners.
+ */
+class HandlerError extends KDStateManagerError {
+    constructor(message, context) { super('HANDLER_FAILURE', message, context) }
+}
+
+/** A transaction was rolled back. Carries `reason` and the first error reported inside it as `cause`. */
+class TransactionError extends KDStateManagerError {
+    constructor(message, context) { super('TRANSACTION_FAILED', message, context) }
+}
+
+/** A sync channel failed. Carries `cause`. */
+class SyncError extends KDStateManagerError {
+    constructor(message, context) { super('SYNC_FAILURE', message, context) }
+}
+
+/** A middleware did not call `next()`. Carries the `op`. */
+class OperationVetoedError extends KDStateManagerError {
+    constructor(message, context) { super('OPERATION_VETOED', message, context) }
+}
+
 /**
  *  Class representing a manager for storing and recalling JSON objects representing state values.
  * 
@@ -21,17 +106,227 @@ class KDStateManager {
     /**
      * Parameter object for the `KDStateManager` constructor.
      * @typedef {object} KDStateManager~Params
-     * @property {boolean=} dev - Indicated whether dev mode logging is activated.
+     * @property {boolean=} dev - Indicated whether dev mode logging is activated. Same as `logLevel: 'debug'`.
+     * @property {KDStateManager~Logger=} logger - Receives the log records. Defaults to
+     *                                             `KDStateManager.loggers.console()`.
+     * @property {string=} logLevel - `'debug'`, `'info'`, `'warn'`, `'error'` (default), or `'silent'`.
      * @property {array=} store - Instantiate the instance with a pre-existing `store`.
      * @property {number=} currentIndex - Instantiate the instance with a predetermined `currentIndex`.
+     * @property {KDStateManager~StorageAdapter=} storage - Adapter used by `storage` and `localStorage`. Defaults to
+     *                                                      `KDStateManager.adapters.localStorage()` when available,
+     *                                                      otherwise `KDStateManager.adapters.memory()`.
+     * @property {number=} version - Version of the state shape, recorded in exported snapshots. Defaults to `1`.
+     * @property {object=} migrations - Migration functions keyed by the version they upgrade from. See `migrations.add()`.
+     * @property {boolean=} diff - Store keyframes plus JSON Patch (RFC 6902) diffs instead of a full copy of every state.
+     * @property {number=} keyframeInterval - With `diff`, every nth index holds a full state. Defaults to `10`.
+     * @property {boolean=} tree - Keep a branching history. Appending after an undo starts a new branch instead of
+     *                            pushing to the end of the store. `diff` is ignored in tree mode.
+     * @property {string=} appendPolicy - What `append()` does after an undo. `'keep'` (default) pushes to the end of the
+     *                                    store, `'truncate'` drops the states after `currentIndex` first, and `'branch'`
+     *                                    is the same as `tree: true`.
+     * @property {number=} maxLength - Maximum number of stored states. Older states are evicted once it is exceeded.
+     *                                 The state at `currentIndex` and the newest state are never evicted, so the store
+     *                                 can stay longer when only they are left; a warning is logged when it does.
+     * @property {string=} evict - Eviction strategy with `maxLength`. `'oldest'` (default) removes the oldest states,
+     *                             `'thin'` first removes the oldest states that are not a `thinEvery`th one, the current,
+     *                             or the newest.
+     * @property {number=} thinEvery - With `evict: 'thin'`, keep every nth state. Defaults to `2`.
+     * @property {function=} onEvict - Called with an array of `{ index, id, state }` for the evicted states.
+     * @property {boolean=} async - Template functions may return a `Promise`. `recall()`, `undo()`, and `redo()` return a
+     *                              `Promise` that resolves once every template function has settled.
+     * @property {boolean=} delta - Only call template functions whose value differs from the state at `currentIndex`.
+     * @property {string=} missingKeys - What recalling a state without a template key does. `'undefined'` (default)
+     *                                   passes `undefined`, `'skip'` does not call the template function, and
+     *                                   `'default'` passes the value from `defaults`.
+     * @property {object=} defaults - Keyed default values used by `missingKeys: 'default'`.
+     * @property {string=} validation - How `append()`, `insert()`, `replace()`, and `store()` treat states that fail the
+     *                                  template descriptors. `'reject'` (default), `'coerce'`, or `'off'`.
+     * @property {KDStateManager~Coalesce=} coalesce - Default coalescing options for `append()`.
+     * @property {KDStateManager~Channel=} sync - Connect to a sync channel. See `sync.connect()`.
+     * @property {function=} clone - Makes the deep copies of states. Receives a value and returns a copy with no shared
+     *                              references. Defaults to `structuredClone()`, so `Date`, `Map`, `Set`, typed arrays,
+     *                              `BigInt`, and cycles survive.
+     * @property {boolean=} immutable - Store deep-frozen states and return them from reads without copying. Consecutive
+     *                                  states share their unchanged objects and arrays. `diff` is ignored.
+     * @property {KDStateManager~Serializer=} serializer - Turns snapshots into strings for storage adapters and
+     *                                                     `import()`. Defaults to `KDStateManager.serializers.json()`.
+     * @property {object=} commands - Record commands instead of snapshots. `KDStateManager~CommandHandlers` keyed by
+     *                             command type; pass `{}` to register them later with `commands.add()`. See `execute()`.
+     *                             `diff`, `tree`, and `immutable` are ignored in command mode.
+     * @property {KDStateManager~Autosave=} autosave - Save to the `storage` adapter after changes. See `autosave.start()`.
+     * @property {string=} errorMode - What a failed call returns. By default `false`, `'lenient'` returns the
+     *                                 `KDStateManagerError`, and `'strict'` throws it. Callbacks receive the same value.
+     */
+
+    /**
+     * Options for `autosave.start()`. Without `throttle` or `idle`, checkpoints are at least a second apart.
+     * @typedef {object} KDStateManager~Autosave
+     * @property {string} key - The storage key of the checkpoint. The journal and session marker use it as a prefix.
+     * @property {number=} throttle - Write checkpoints at least this many milliseconds apart. With `idle`, the longest
+     *                                wait after a change.
+     * @property {number=} idle - Write a checkpoint once no change has been made for this many milliseconds.
+     */
+
+    /**
+     * Options deciding when `append()` replaces the newest state instead of adding one. Appends merge into the open merge
+     * group when `mergeKey` matches the group's (an append without one only merges into a group opened without one) and
+     * either no `window`/`shouldMerge` is set but a `mergeKey` is, the previous append was less than `window`
+     * milliseconds ago, or `shouldMerge` returns `true`.
+     * @typedef {object} KDStateManager~Coalesce
+     * @property {number=} window - Merge appends made within this many milliseconds of the previous one.
+     * @property {any=} mergeKey - Only merge appends with the same key. Appends without a key never merge with keyed ones.
+     * @property {function=} shouldMerge - Receives the newest stored state and the new state. Return `true` to merge.
+     * @property {boolean=} merge - `false` never merges this append.
+     */
+
+    /**
+     * Metadata options for `append()`, `insert()`, `replace()`, and `entries.update()`.
+     * @typedef {object} KDStateManager~EntryOptions
+     * @property {string|null=} label - A label for the entry. `null` clears it.
+     * @property {array=} tags - Custom tags for the entry. Any JSON values.
+     */
+
+    /**
+     * Stored state with its metadata, as listed by `entries`.
+     * @typedef {object} KDStateManager~Entry
+     * @property {number} index - The current index of the state.
+     * @property {number} id - Unique to the instance. Kept through `delete()`, `insert()`, `replace()`, and persistence.
+     * @property {string|null} label - The label, `null` if none.
+     * @property {number|null} timestamp - `Date.now()` when the state was last stored or replaced.
+     * @property {array} tags - The custom tags.
+     * @property {object} state - A copy of the state.
+     * @property {KDStateManager~Command|null=} command - In command mode, the command that produced the state, `null` for
+     *                                                   a state that was appended, inserted, or replaced.
+     */
+
+    /**
+     * A key that differs between two states, from `diff()`.
+     * @typedef {object} KDStateManager~Change
+     * @property {string} key - The state key.
+     * @property {string} type - `'added'`, `'removed'`, or `'changed'`.
+     * @property {any} before - A copy of the earlier value, `undefined` if added.
+     * @property {any} after - A copy of the later value, `undefined` if removed.
+     * @property {array} ops - JSON Patch (RFC 6902) operations turning the earlier state's value into the later one,
+     *                         with paths from the state root.
+     */
+
+    /**
+     * Summary of a stored state, from `timeline()`. Has the `KDStateManager~Entry` properties except `state`, plus:
+     * @typedef {object} KDStateManager~TimelineEntry
+     * @property {boolean} current - The entry is at `currentIndex`.
+     * @property {array} changed - The keys that differ from the state before it. Every key for the first state.
+     */
+
+    /**
+     * A reversible change recorded by `execute()` in command mode.
+     * @typedef {object} KDStateManager~Command
+     * @property {string} type - A type registered with the `commands` param or `commands.add()`.
+     * @property {any=} payload - Passed to the handlers. Copied when recorded, and saved with the history.
+     */
+
+    /**
+     * Functions for a command type. `apply` and `revert` may change the state in place or return a new one.
+     * @typedef {object} KDStateManager~CommandHandlers
+     * @property {function(object, any): (object|void)} apply - Receives the state before the command and the payload.
+     * @property {function(object, any): (object|void)} revert - Receives the state after the command and the payload, and
+     *                                                         restores the state before it.
+     * @property {function(any, any): any=} merge - Receives the newest command's payload and the new payload, and returns
+     *                                               one payload doing both, or `undefined` to keep them apart.
+     */
+
+    /**
+     * Template entry describing a key. Plain function entries are the same as `{ apply: fn }`.
+     * @typedef {object} KDStateManager~Descriptor
+     * @property {function=} apply - Receives the value when a state is recalled.
+     * @property {string|function|array=} type - `'string'`, `'number'`, `'boolean'`, `'object'`, `'array'`, `'null'`,
+     *                                           `'any'`, a constructor checked with `instanceof`, or an array of these.
+     * @property {any=} default - Value used when the key is missing. Filled in on recall, and on store with `'coerce'`.
+     * @property {function=} validate - Receives the value and the state. Return `false` or an error message to reject.
+     * @property {boolean=} required - States must have the key.
+     */
+
+    /**
+     * Self-describing snapshot produced by `export()` and read by `import()`.
+     * @typedef {object} KDStateManager~Envelope
+     * @property {string} format - Always `'KDStateManager'`.
+     * @property {number} formatVersion - Version of the envelope layout itself.
+     * @property {number} version - Version of the state shape (the `version` constructor param).
+     * @property {array} templateKeys - Template keys the store was saved against.
+     * @property {number} timestamp - `Date.now()` when the envelope was created.
+     * @property {number} currentIndex - The saved `currentIndex`.
+     * @property {array} store - The saved states.
+     * @property {array} meta - The `{ id, label, timestamp, tags }` metadata of each saved state. Optional on import.
+     * @property {object} bookmarks - Entry ids keyed by bookmark name. Optional on import.
+     * @property {string=} journal - In autosave checkpoints, identifies the journal of the changes made after it.
+     */
+
+    /**
+     * Interface for sync channels. Messages are plain objects; a channel may or may not deliver an instance's own
+     * messages back to it.
+     * @typedef {object} KDStateManager~Channel
+     * @property {function(object): void} post - Send a message to the other contexts.
+     * @property {function(function(object)): function} subscribe - Receive messages. Returns a function that unsubscribes.
+     */
+
+    /**
+     * Interface for serializers, which turn values into strings and back.
+     * @typedef {object} KDStateManager~Serializer
+     * @property {function(any): string} stringify
+     * @property {function(string): any} parse
+     */
+
+    /**
+     * Interface for loggers. Each method receives a record for its level.
+     * @typedef {object} KDStateManager~Logger
+     * @property {function(KDStateManager~LogRecord): void} debug - Operation groups and detailed logs from dev mode.
+     * @property {function(KDStateManager~LogRecord): void} info - Notable events such as migrations and evictions.
+     * @property {function(KDStateManager~LogRecord): void} warn - Failures returned to the caller, and sync conflicts.
+     * @property {function(KDStateManager~LogRecord): void} error - Failures the caller does not get back, such as listener
+     *                                                               errors.
+     */
+
+    /**
+     * A record passed to a logger.
+     * @typedef {object} KDStateManager~LogRecord
+     * @property {string} level - `debug`, `info`, `warn`, or `error`.
+     * @property {string} message
+     * @property {any=} data - Anything else logged with the message.
+     * @property {KDStateManagerError=} error - The reported error.
+     * @property {string=} group - `'start'` or `'end'` for the `debug` records that open and close an operation.
+     * @property {boolean=} success - With `group: 'end'`, whether the operation succeeded.
+     * @property {boolean=} trace - Whether a stack trace was requested.
+     */
+
+    /**
+     * Snapshot of an instance's history for UI bindings, from `KDStateManager.bindings.history()`.
+     * @typedef {object} KDStateManager~HistoryView
+     * @property {boolean} canUndo - `undo()` has a state to go back to.
+     * @property {boolean} canRedo - `redo()` has a state to go forward to.
+     * @property {number} currentIndex - The `currentIndex`, `-1` when the store is empty.
+     * @property {array} entries - `KDStateManager~Entry` objects from `entries.list()`.
+     */
+
+    /**
+     * Interface for persistence adapters. Each method may return its result directly or as a `Promise`.
+     * @typedef {object} KDStateManager~StorageAdapter
+     * @property {function(string, string): (void|Promise)} set - Save a serialized value under a key.
+     * @property {function(string): (string|null|Promise<string|null>)} get - Retrieve a serialized value, `null` if missing.
+     * @property {function(string): (void|Promise)} remove - Remove a key.
+     * @property {function(): (array|Promise<array>)} list - List all saved keys.
      */
 
     /**
      *  Instantiates a `new KDStateManager()`.
      * 
      *  @param {object=} template - Object containing keyed functions. Keys should match the keys for any state objects 
-     *                              that will be stored, and the values should be functions handling the state values.
-     *  @param {KDStateManager~Params=} params - Optional parameters `dev`, `store`, and `currentIndex`.
+     *                              that will be stored, and the values should be functions handling the state values,
+     *                              or `KDStateManager~Descriptor` objects.
+     *  @param {KDStateManager~Params=} params - Optional parameters `dev`, `logger`, `logLevel`, `store`, `currentIndex`,
+     *                                           `storage`, `version`, `migrations`, `diff`, `keyframeInterval`, `tree`,
+     *                                           `appendPolicy`, `maxLength`, `evict`, `thinEvery`, `onEvict`, `async`,
+     *                                           `delta`, `missingKeys`, `defaults`, `validation`, `coalesce`, `sync`,
+     *                                           `clone`, `immutable`, `serializer`, `commands`, `autosave`, and
+     *                                           `errorMode`.
      * 
      *  @notes Class representing a manager for storing and recalling JSON objects representing state values.
      *         The template is an object of keyed functions that should operate on an expected value/type.
@@ -41,7 +336,21 @@ class KDStateManager {
      *  
      *  @public
      *      devMode()
+     *      logLevel()
+     *      logger()
      *      onError()
+     *      onEvict()
+     *      on()
+     *      once()
+     *      off()
+     *      use()
+     *      transaction()
+     *      batch()
+     *      closeMerge()
+     *      bookmark()
+     *      recallBookmark()
+     *      bookmarks()
+     *      removeBookmark()
      *      index
      *          .set()
      *          .current()
@@ -49,9 +358,41 @@ class KDStateManager {
      *          .last()
      *      template()
      *      store()
+     *      storage
+     *          .set()
+     *          .get()
+     *          .remove()
+     *          .list()
+     *          .adapter()
      *      localStorage
      *          .set()
      *          .get()
+     *      export()
+     *      import()
+     *      migrations
+     *          .add()
+     *          .remove()
+     *          .list()
+     *      entries
+     *          .list()
+     *          .get()
+     *          .indexOf()
+     *          .find()
+     *          .update()
+     *          .recall()
+     *          .delete()
+     *          .replace()
+     *      sync
+     *          .connect()
+     *          .disconnect()
+     *          .status()
+     *      tree
+     *          .branches()
+     *          .branch()
+     *          .parent()
+     *          .children()
+     *          .child()
+     *          .path()
      *      append()
      *      recall()
      *      delete()
@@ -104,278 +445,3035 @@ class KDStateManager {
      */
     constructor(template, params) {
 
-        /** Utilities for dev mode logging. */
+        params = params && typeof params === 'object' ? params : {}
+
+        /** Log levels from most to least verbose. `silent` logs nothing. */
+        const logLevels = ['debug', 'info', 'warn', 'error', 'silent']
+        /** Check to ensure a logger implements `debug`, `info`, `warn`, and `error`. */
+        const checkLogger = logger => !!logger && ['debug', 'info', 'warn', 'error'].every(fn => typeof logger[fn] === 'function')
+
+        /** Utilities for logging through the configured logger. See `KDStateManager~Logger`. */
         const dev = {
 
-            /** Determines whether `start()`, `end()`, and `log()` will run. `error()` always runs if called directly. */
-            mode: params.dev ? params.dev : false,
+            /** Records below this level are not passed to the logger. See the `logLevel` param. */
+            level: logLevels.indexOf(params.logLevel) > -1 ? params.logLevel : (params.dev ? 'debug' : 'error'),
+
+            /** See the `logger` param. */
+            logger: checkLogger(params.logger) ? params.logger : KDStateManager.loggers.console(),
+
+            /** While `true`, `error()` logs at `warn` because the caller also gets the failure back. Set by `end()`. */
+            handled: false,
+
+            /** The newest error passed to `error()`. Cleared by `start()`. */
+            lastError: null,
 
-            /** `onError()` callback function and `colors`. */
+            /** `onError()` callback function. */
             props: {
-                onError: e => console.log('%c ' + e + ' ', dev.console.text(dev.props.colors.error)),
-                colors: {
-                    error: '#F1828D',
-                    log: '#FEFAD4',
-                    start: '#8FB9A8',
-                },
+                onError: null,
             },
 
-            /** Format css for console calls. */
-            console: {
-                text: color => 'color:' + color + ';',
-                background: color => 'background:' + color + ';',
+            /** `true` if records at `level` are passed to the logger. */
+            enabled: level => dev.level !== 'silent' && logLevels.indexOf(level) >= logLevels.indexOf(dev.level),
+
+            /**
+             * Pass a record to the logger. A logger that throws is ignored.
+             * @param {string} level - `debug`, `info`, `warn`, or `error`.
+             * @param {KDStateManager~LogRecord} record - The record without `level`.
+             */
+            write: (level, record) => {
+                if (!dev.enabled(level)) return
+                record.level = level
+                try {
+                    dev.logger[level](record)
+                } catch (e) {}
             },
 
             /**
-             * Open a console group. Useful at the start of a function.
+             * Open a log group at `debug`. Useful at the start of a function.
              * @param {string=} title - The group title or primary message.
              * @param {any=} msg - Anything else to be logged on the first line within the group.
-             * @param {boolean=} trace - If true, `console.trace()` will be logged at the end of the group.
+             * @param {boolean=} trace - If true, a stack trace is logged at the end of the group.
              */
             start: (title, msg, trace) => {
-                if (dev.mode) {
-                    title = typeof title === 'string' ? title : ' '
-                    console.groupCollapsed('%c' + title, dev.console.text(dev.props.colors.start) + 'font-weight: normal;')
-                    if (msg != undefined) console.log(msg)
-                    if (trace) console.trace()
-                }
+                dev.lastError = null
+                dev.write('debug', { message: typeof title === 'string' ? title : ' ', data: msg, group: 'start', trace: !!trace })
             },
 
             /**
-             * End a console group. Useful at the end of a function.
+             * Close a log group at `debug`. Useful at the end of a function.
              * @param {boolean} success - Determines which callback function to run.
              * @param {function=} onSuccess - Called on success.
              * @param {function=} onFail - Called on fail. Good place for `dev.error()`
-             * @param {boolean=} trace - If true, `console.trace()` will be logged at the end of the group.
+             * @param {boolean=} trace - If true, a stack trace is logged at the end of the group.
+             * @notes `onFail` is skipped if an error was already reported since `start()`. Errors it reports are logged at
+             *        `warn`.
              */
             end: (success, onSuccess, onFail, trace) => {
-                if (dev.mode) {
-                    if (success) {
-                        if (typeof onSuccess === 'function') onSuccess()
-                    } else {
-                        if (typeof onFail === 'function') onFail()
+                if (success) {
+                    if (typeof onSuccess === 'function') onSuccess()
+                } else if (typeof onFail === 'function' && !dev.lastError) {
+                    dev.handled = true
+                    try {
+                        onFail()
+                    } finally {
+                        dev.handled = false
                     }
-                    if (trace) console.trace()
-                    console.groupEnd()
-                    if (!success) console.log('%c^ Failed ', dev.console.background(dev.props.colors.error) + dev.console.text('#000'))
                 }
+                dev.write('debug', { message: 'end', group: 'end', success: !!success, trace: !!trace })
             },
 
             /**
-             * Open a console group and `console.log()` with text formatting and optional stack trace.
-             * @param {string=} title - The group title or primary message.
+             * Log at `debug`.
+             * @param {string=} title - The primary message.
              * @param {any=} msg - Anything to be logged.
-             * @param {boolean=} trace - If true, `console.trace()` will be logged.
-             */
-            log: (title, msg, trace) => {
-                if (dev.mode) {
-                    let opts = null
-                    if (title) {
-                        title = typeof title === 'string' ? title : ' '
-                        opts = '%c' + title, dev.console.text(dev.props.colors.log) + 'font-weight: normal;'
-                    }
-                    console.group('%c' + title, dev.console.text(dev.props.colors.log) + 'font-weight: normal;')
-                    console.log(msg)
-                    if (trace) console.trace()
-                    console.groupEnd()
-                }
-            },
+             * @param {boolean=} trace - If true, a stack trace is logged.
+             */
+            log: (title, msg, trace) => dev.write('debug', { message: typeof title === 'string' ? title : ' ', data: msg, trace: !!trace }),
+
+            /** Log at `info`. */
+            info: (message, data) => dev.write('info', { message: message, data: data }),
+
+            /** Log at `warn`. */
+            warn: (message, data) => dev.write('warn', { message: message, data: data }),
 
             /**
-             * Format and log a `new Error()`. If called directly (not from within a `.start` or `.end` fucntion), always logs 
-             * regardless of `.mode` state. Also always logs `console.trace()`.
-             * @param {string=} msg - Error message to be logged.
-             * @param {function=} callback - Callback function. `new Error(msg)` is passed to this function. Defaults to
-             * `props.onError()`.
+             * Report an error. Emits the `error` event, then passes the error to `onError()` at any log level, or logs it at
+             * `error` (`warn` when called from `end()`, since the caller gets the failure back).
+             * @param {KDStateManagerError} error - The error to report.
+             * @param {boolean=} handled - Log at `warn` because the caller gets the failure back.
+             * @returns {KDStateManagerError} The error.
              */
-            error: (msg, callback) => {
-                callback = callback ? callback : dev.props.onError
-                if (typeof callback === 'function') callback(new Error(msg))
-                else console.log('%c ' + e + ' ', dev.console.color(dev.props.colors.error))
-                console.trace()
+            error: (error, handled) => {
+                dev.lastError = error
+                if (_state.transaction && !_state.transaction.cause) _state.transaction.cause = error
+                events.emit('error', { index: _state.currentIndex, error: error })
+                const level = handled || dev.handled ? 'warn' : 'error'
+                if (typeof dev.props.onError === 'function') dev.props.onError(error)
+                else if (dev.enabled(level)) dev.write(level, { message: error && error.message ? error.message : String(error), error: error })
+                return error
             },
 
         }
 
         /**
-         * Toggle detailed console logging for the instance.
+         * Toggle detailed logging for the instance. Sets the log level to `debug`, or back to `error`.
          * @param {boolean} on
          */
-        this.devMode = on => dev.mode = on
+        this.devMode = on => dev.level = on ? 'debug' : 'error'
+        /**
+         * Get/set the log level.
+         * @param {string=} level - `debug`, `info`, `warn`, `error`, or `silent`.
+         * @returns {string} The current level.
+         */
+        this.logLevel = level => {
+            if (logLevels.indexOf(level) > -1) dev.level = level
+            return dev.level
+        }
+        /**
+         * Get/set the logger.
+         * @param {KDStateManager~Logger=} logger - Object implementing `debug`, `info`, `warn`, and `error`.
+         * @returns {KDStateManager~Logger} The current logger.
+         */
+        this.logger = logger => {
+            if (checkLogger(logger)) dev.logger = logger
+            return dev.logger
+        }
         /**
-         * Set the `dev.props.onError` callback function.
-         * @param {function=} err - Default error function.
+         * Set the function called with reported errors instead of logging them. Called at every log level, including
+         * `silent`.
+         * @param {function=} err - Receives the `KDStateManagerError`. Pass nothing to log errors again.
          */
         this.onError = err => dev.props.onError = err
+        /**
+         * Set the function called with the states evicted by the `maxLength` param.
+         * @param {function=} fn - Receives an array of `{ index, id, state }`. `index` is the index before eviction.
+         */
+        this.onEvict = fn => _state.onEvict = fn
 
-        /** Make a copy of an object with no references to the original or its properties. */
-        const deepCopy = obj => JSON.parse(JSON.stringify(obj))
+        /** Check to ensure a serializer implements `stringify` and `parse`. */
+        const checkSerializer = serializer => !!serializer && typeof serializer.stringify === 'function' && typeof serializer.parse === 'function'
+        /** Turns envelopes into strings for storage and back. See the `serializer` param. */
+        const serializer = checkSerializer(params.serializer) ? params.serializer : KDStateManager.serializers.json()
+        /**
+         * Make a copy of a value with no references to the original or its properties. See the `clone` param. Defaults to
+         * `structuredClone()`, falling back to a `serializer` round trip where it is missing or the value holds functions.
+         */
+        const deepCopy = typeof params.clone === 'function' ? params.clone : value => {
+            if (typeof structuredClone === 'function') {
+                try {
+                    return structuredClone(value)
+                } catch (e) {}
+            }
+            return serializer.parse(serializer.stringify(value))
+        }
         /** Handle callback functions throughout the class. */
         const handleCB = (cb, success) => typeof cb === 'function' ? cb(success) : dev.log('handleCB', 'no valid callback')
 
-        /** Check to ensure a `template` consists only of keyed `functions`. */
-        const checkTemplate = template => {
-            let success = true
-            if (typeof template === 'object') {
-                Object.values(template).forEach(value => {
-                    if (typeof value != 'function') success = false
+        /** `true` if the value is thenable. */
+        const isPromise = value => !!value && typeof value.then === 'function'
+        /** Run `fn` with the value, after it resolves if it is a `Promise`. */
+        const settle = (value, fn) => isPromise(value) ? value.then(fn) : fn(value)
+
+        /** Holds event listeners. See `this.on()`. */
+        const events = {
+            /** Event types that can be subscribed to. */
+            types: ['append', 'insert', 'delete', 'replace', 'execute', 'recall', 'undo', 'redo', 'storeReplaced', 'indexChanged', 'evict',
+                'transaction', 'bookmarkRemoved', 'sync', 'error'],
+            /** Arrays of `{ fn, once }` keyed by event type. */
+            listeners: {},
+            on: (type, fn, once) => {
+                if (events.types.indexOf(type) < 0 || typeof fn !== 'function') return false
+                events.listeners[type] = (events.listeners[type] || []).concat({ fn: fn, once: !!once })
+                return _ => events.off(type, fn)
+            },
+            off: (type, fn) => {
+                if (type === undefined) events.listeners = {}
+                else if (fn === undefined) delete events.listeners[type]
+                else if (events.listeners[type]) events.listeners[type] = events.listeners[type].filter(l => l.fn !== fn)
+                return true
+            },
+            emit: (type, payload) => {
+                const listeners = events.listeners[type]
+                if (!listeners || !listeners.length) return
+                events.listeners[type] = listeners.filter(l => !l.once)
+                payload.type = type
+                listeners.forEach(l => {
+                    try {
+                        l.fn(payload)
+                    } catch (e) {
+                        if (type === 'error') dev.log('error listener failed', e)
+                        else dev.error(new HandlerError('A "' + type + '" listener failed.\n ' + (e && e.message ? e.message : e), { event: type, cause: e }))
+                    }
                 })
-            } else success = false
-            return success
+            },
         }
 
-        /** Hold mutable state properties. */
-        const _state = {
-            /** See `this.template()`. */
-            template: checkTemplate(template) ? template : {},
-            /** Array of stored state objects. */
-            store: Array.isArray(params.store) ? params.store : [],
-            /** Current index used with `undo`/`redo`. */
-            currentIndex: (params.currentIndex != undefined && params.currentIndex > -1) ? params.currentIndex : -1,
+        /** Identifies envelopes created by `export()`. Bump `version` when the envelope layout changes. */
+        const envelopeFormat = { name: 'KDStateManager', version: 1 }
+
+        /** Check to ensure a sync channel implements `post` and `subscribe`. */
+        const checkChannel = channel => !!channel && typeof channel.post === 'function' && typeof channel.subscribe === 'function'
+        /** Check to ensure a storage adapter implements `set`, `get`, `remove`, and `list`. */
+        const checkAdapter = adapter => !!adapter && ['set', 'get', 'remove', 'list'].every(fn => typeof adapter[fn] === 'function')
+        /** Whether an adapter error means the storage is full. Browsers name it differently. */
+        const isQuotaError = e => !!e && (e.name === 'QuotaExceededError' || e.name === 'NS_ERROR_DOM_QUOTA_REACHED' || e.code === 22 || e.code === 1014)
+        /** Default adapter when none is passed: `localStorage` in the browser, in-memory everywhere else. */
+        const defaultAdapter = _ => {
+            try {
+                if (typeof localStorage !== 'undefined' && localStorage) return KDStateManager.adapters.localStorage()
+            } catch (e) {}
+            return KDStateManager.adapters.memory()
         }
 
-        /** Holds private functions. See the public functions for descriptions. */
-        const _private = {
+        /** `true` if the value is an object or array. */
+        const isObject = value => value !== null && typeof value === 'object'
+        /** `true` if the object has its own key. */
+        const hasKey = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key)
 
-            template: (template, callback) => {
-                let success = false
-                const t = deepCopy(template)
-                // Add better template type checking?
-                if (checkTemplate(t)) {
-                    _state.template = t
-                    success = t
-                }
-                handleCB(callback, success)
-                return success
+        /** `true` if the value is an array or an object without a class. Other objects are compared and diffed whole. */
+        const isPlain = value => isObject(value) && (Array.isArray(value) || [Object.prototype, null].indexOf(Object.getPrototypeOf(value)) > -1)
+        /** Bytes of an `ArrayBuffer` or typed array. */
+        const bytesOf = value => value instanceof ArrayBuffer ? new Uint8Array(value) : new Uint8Array(value.buffer, value.byteOffset, value.byteLength)
+
+        /**
+         * `true` if two values are deeply equal. Understands `Date`, `RegExp`, `Map`, `Set`, `ArrayBuffer`, typed arrays,
+         * and cycles.
+         * @param {any} a
+         * @param {any} b
+         * @param {array=} seen - Pairs already being compared.
+         * @returns {boolean}
+         */
+        const deepEqual = (a, b, seen) => {
+            if (Object.is(a, b) || a === b) return true
+            if (!isObject(a) || !isObject(b) || Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false
+            seen = seen || []
+            if (seen.some(pair => pair[0] === a && pair[1] === b)) return true
+            seen = seen.concat([[a, b]])
+            if (a instanceof Date) return a.getTime() === b.getTime() || (isNaN(a.getTime()) && isNaN(b.getTime()))
+            if (a instanceof RegExp) return String(a) === String(b)
+            if (a instanceof ArrayBuffer || ArrayBuffer.isView(a)) {
+                const x = bytesOf(a)
+                const y = bytesOf(b)
+                return x.length === y.length && x.every((byte, i) => byte === y[i])
+            }
+            if (a instanceof Map) {
+                return a.size === b.size && Array.from(a).every(e => b.has(e[0]) && deepEqual(e[1], b.get(e[0]), seen))
+            }
+            if (a instanceof Set) {
+                const rest = Array.from(b)
+                return a.size === b.size && Array.from(a).every(v => b.has(v) || rest.some(w => deepEqual(v, w, seen)))
+            }
+            const keys = Object.keys(a)
+            return keys.length === Object.keys(b).length && keys.every(key => hasKey(b, key) && deepEqual(a[key], b[key], seen))
+        }
+
+        /** Freeze plain objects and arrays and everything inside them. Other objects are left as they are. */
+        const deepFreeze = value => {
+            if (isPlain(value) && !Object.isFrozen(value)) {
+                Object.freeze(value)
+                Object.keys(value).forEach(key => deepFreeze(value[key]))
+            }
+            return value
+        }
+
+        /**
+         * Reuse the parts of `prev` that are deeply equal in `next`, so consecutive states share their unchanged objects.
+         * @param {any} prev - A stored, frozen state.
+         * @param {any} next - A fresh copy. Modified in place unless it is already frozen.
+         * @param {Set=} seen - Objects of `next` already visited, to stop at cycles.
+         * @returns {any} `prev` if the values are equal, otherwise `next`.
+         */
+        const share = (prev, next, seen) => {
+            if (prev === next || Object.isFrozen(next)) return next
+            if (!isPlain(prev) || !isPlain(next) || Array.isArray(prev) !== Array.isArray(next)) return deepEqual(prev, next) ? prev : next
+            seen = seen || new Set()
+            if (seen.has(next)) return next
+            seen.add(next)
+            const keys = Object.keys(next)
+            let same = keys.length === Object.keys(prev).length
+            keys.forEach(key => {
+                if (hasKey(prev, key)) next[key] = share(prev[key], next[key], seen)
+                if (!hasKey(prev, key) || next[key] !== prev[key]) same = false
+            })
+            return same ? prev : next
+        }
+
+        /**
+         * Prepare a validated copy of a state for the history. In immutable mode it shares its unchanged parts with the
+         * state at `near` and is frozen, otherwise it is copied.
+         * @param {object} state - A copy made by `checkState()`.
+         * @param {number=} near - Index of the neighbouring stored state.
+         * @returns {object}
+         */
+        const stored = (state, near) => {
+            if (!_state.immutable) return deepCopy(state)
+            return deepFreeze(hasIndex(near) ? share(_state.history.get(near), state) : state)
+        }
+        /** `stored()` for states being loaded, each sharing with the one before it. Not copied again outside immutable mode. */
+        const storedAll = states => {
+            if (!_state.immutable) return states
+            const out = []
+            states.forEach((state, i) => out.push(deepFreeze(i > 0 ? share(out[i - 1], state) : state)))
+            return out
+        }
+        /** Copy a stored value for handing out. In immutable mode stored values are frozen and handed out as they are. */
+        const copyOut = value => _state.immutable ? value : deepCopy(value)
+        /** Every stored state for handing out. In immutable mode a frozen array of the frozen states. */
+        const copyOutAll = _ => _state.immutable ? Object.freeze(_state.history.all().slice()) : deepCopy(_state.history.all())
+
+        /** Utilities for JSON Patch (RFC 6902) documents. */
+        const patch = {
+
+            /** Escape a key for use in a JSON Pointer. */
+            escape: key => String(key).replace(/~/g, '~0').replace(/\//g, '~1'),
+            /** Split a JSON Pointer into unescaped keys. */
+            parse: path => path.split('/').slice(1).map(key => key.replace(/~1/g, '/').replace(/~0/g, '~')),
+
+            /**
+             * Create the operations that turn `a` into `b`. Plain objects and arrays are diffed by key, other values are
+             * replaced whole when they differ.
+             * @param {any} a - The source value.
+             * @param {any} b - The target value.
+             * @param {string=} path - JSON Pointer of the values. Defaults to the document root.
+             * @param {array=} ops - Operations are pushed here.
+             * @returns {array} The operations.
+             */
+            diff: (a, b, path, ops) => {
+                path = path || ''
+                ops = ops || []
+                if (a === b) return ops
+                if (isPlain(a) && isPlain(b) && Array.isArray(a) === Array.isArray(b)) {
+                    if (Array.isArray(a)) {
+                        const common = Math.min(a.length, b.length)
+                        for (let i = 0; i < common; i++) patch.diff(a[i], b[i], path + '/' + i, ops)
+                        for (let i = a.length - 1; i >= b.length; i--) ops.push({ op: 'remove', path: path + '/' + i })
+                        for (let i = a.length; i < b.length; i++) ops.push({ op: 'add', path: path + '/' + i, value: deepCopy(b[i]) })
+                    } else {
+                        Object.keys(a).forEach(key => {
+                            const p = path + '/' + patch.escape(key)
+                            if (hasKey(b, key)) patch.diff(a[key], b[key], p, ops)
+                            else ops.push({ op: 'remove', path: p })
+                        })
+                        Object.keys(b).forEach(key => {
+                            if (!hasKey(a, key)) ops.push({ op: 'add', path: path + '/' + patch.escape(key), value: deepCopy(b[key]) })
+                        })
+                    }
+                } else if (!deepEqual(a, b)) ops.push({ op: 'replace', path: path, value: deepCopy(b) })
+                return ops
             },
 
-            store: (store, callback) => {
-                let success = false
-                const s = deepCopy(store)
-                if (Array.isArray(s)) {
-                    _state.store = s
-                    _state.currentIndex = this.index.last()
-                    success = s
-                }
-                handleCB(callback, success)
-                return success
+            /**
+             * `true` if no object is reachable twice through plain objects and arrays. Patches copy values one by one, so
+             * states with cycles or shared references are stored whole instead.
+             * @param {any} value
+             * @param {Set=} seen - Objects already reached.
+             * @returns {boolean}
+             */
+            patchable: (value, seen) => {
+                if (!isObject(value)) return true
+                seen = seen || new Set()
+                if (seen.has(value)) return false
+                seen.add(value)
+                return !isPlain(value) || Object.keys(value).every(key => patch.patchable(value[key], seen))
             },
 
-            localStorage: {
-                set: (key, callback) => {
-                    localStorage.setItem(key, JSON.stringify(deepCopy(_state)))
-                    handleCB(callback, true)
-                    return true
-                },
-                get: (key, callback) => {
-                    let retrieved = localStorage.getItem(key)
-                    if (retrieved) {
-                        retrieved = JSON.parse(retrieved)
-                        _state = deepCopy(retrieved)
+            /**
+             * Apply operations to a document. Supports `add`, `remove`, and `replace`.
+             * @param {any} doc - The document. Modified in place where possible.
+             * @param {array} ops - The operations.
+             * @returns {any} The patched document.
+             */
+            apply: (doc, ops) => {
+                ops.forEach(op => {
+                    const value = op.value === undefined ? undefined : deepCopy(op.value)
+                    if (op.path === '') {
+                        doc = op.op === 'remove' ? undefined : value
+                        return
                     }
-                    handleCB(callback, retrieved)
-                    return retrieved
-                },
+                    const keys = patch.parse(op.path)
+                    const last = keys.pop()
+                    const parent = keys.reduce((target, key) => target[key], doc)
+                    if (Array.isArray(parent)) {
+                        const i = last === '-' ? parent.length : Number(last)
+                        if (op.op === 'add') parent.splice(i, 0, value)
+                        else if (op.op === 'remove') parent.splice(i, 1)
+                        else parent[i] = value
+                    } else {
+                        if (op.op === 'remove') delete parent[last]
+                        else parent[last] = value
+                    }
+                })
+                return doc
             },
 
-            append: (state, callback) => {
-                const s = deepCopy(state)
-                _state.store.push(s)
-                _state.currentIndex = _state.store.length - 1
-                handleCB(callback, s)
-                return s
-            },
+        }
 
-            recall: (index, callback) => {
-                let success = false
-                if (_state.store[index]) {
-                    _state.currentIndex = index
-                    success = deepCopy(_state.store[index])
-                    Object.keys(_state.template).forEach(key => {
-                        if (_state.template[key]) _state.template[key](success[key])
-                    })
+        /**
+         * History backends hold the stored states and the metadata of each entry. Every backend implements the same functions:
+         *      length()                    - Number of stored states.
+         *      get(index)                  - The state at `index`. May be an internal reference, copy before handing it out.
+         *      all()                       - Array of every state. May contain internal references.
+         *      insert(index, state, meta)  - Insert a state and its metadata, shifting later indices.
+         *      remove(index)               - Remove and return the state at `index`, shifting later indices.
+         *      set(index, state, meta)     - Overwrite the state at `index`. The metadata is kept if `meta` is omitted.
+         *      load(states, metas)         - Replace every state and its metadata.
+         *      meta(index)                 - The metadata at `index`. See `entryMeta()`.
+         *      metas()                     - Array of the metadata of every state.
+         */
+        const histories = {
+
+            /** Holds a full copy of every state. */
+            full: _ => {
+                let states = []
+                let metas = []
+                return {
+                    length: _ => states.length,
+                    get: index => states[index],
+                    all: _ => states,
+                    insert: (index, state, meta) => {
+                        states.splice(index, 0, state)
+                        metas.splice(index, 0, meta)
+                    },
+                    remove: index => {
+                        metas.splice(index, 1)
+                        return states.splice(index, 1)[0]
+                    },
+                    set: (index, state, meta) => {
+                        states[index] = state
+                        if (meta) metas[index] = meta
+                    },
+                    load: (s, m) => {
+                        states = s
+                        metas = m
+                    },
+                    meta: index => metas[index],
+                    metas: _ => metas,
                 }
-                handleCB(callback, success)
-                return success
             },
 
-            delete: (index, callback) => {
-                let success = false
-                if (_state.store[index]) {
-                    success = deepCopy(_state.store[index])
-                    _state.store.splice(index, 1)
-                    _state.currentIndex--
+            /**
+             * Holds a full state every `interval` indices and JSON Patch diffs from the previous state in between.
+             * States are rebuilt on demand. Changes in the middle of the history re-encode every following record.
+             */
+            diff: interval => {
+                /** `{ keyframe: state }` or `{ patch: ops }`. */
+                let records = []
+                let metas = []
+                const isKeyframe = index => index % interval === 0
+                const encode = (index, state, prev) => isKeyframe(index) || !patch.patchable(state) || !patch.patchable(prev)
+                    ? { keyframe: state }
+                    : { patch: patch.diff(prev, state) }
+                const materialize = index => {
+                    let k = index
+                    while (!hasKey(records[k], 'keyframe')) k--
+                    let state = deepCopy(records[k].keyframe)
+                    for (let i = k + 1; i <= index; i++) state = patch.apply(state, records[i].patch)
+                    return state
+                }
+                const all = _ => {
+                    const states = []
+                    records.forEach((record, i) => states.push(hasKey(record, 'keyframe') ? deepCopy(record.keyframe) : patch.apply(deepCopy(states[i - 1]), record.patch)))
+                    return states
+                }
+                /** Re-encode every record from `index` after `fn` edits the full states. */
+                const rewrite = (index, fn) => {
+                    const states = all()
+                    const result = fn(states)
+                    records = records.slice(0, index)
+                    for (let i = index; i < states.length; i++) records.push(encode(i, states[i], states[i - 1]))
+                    return result
+                }
+                return {
+                    length: _ => records.length,
+                    get: index => records[index] ? materialize(index) : undefined,
+                    all: all,
+                    insert: (index, state, meta) => {
+                        metas.splice(index, 0, meta)
+                        if (index === records.length) records.push(encode(index, state, index > 0 ? materialize(index - 1) : undefined))
+                        else rewrite(index, states => states.splice(index, 0, state))
+                    },
+                    remove: index => {
+                        metas.splice(index, 1)
+                        if (index < records.length - 1) return rewrite(index, states => states.splice(index, 1)[0])
+                        const state = materialize(index)
+                        records.pop()
+                        return state
+                    },
+                    set: (index, state, meta) => {
+                        if (meta) metas[index] = meta
+                        rewrite(index, states => states[index] = state)
+                    },
+                    load: (states, m) => {
+                        records = []
+                        metas = m
+                        states.forEach((state, i) => records.push(encode(i, state, states[i - 1])))
+                    },
+                    meta: index => metas[index],
+                    metas: _ => metas,
                 }
-                handleCB(callback, success)
-                return success
             },
 
-            insert: (index, state, callback) => {
-                let success = false
-                const st = deepCopy(state)
-                if (_state.store[index] || index == _state.store.length) {
-                    _state.store.splice(index, 0, st)
-                    index < _state.currentIndex ? _state.currentIndex++ : ''
-                    success = st
-                } else if (index > -1) {
-                    _state.store.push(st)
-                    _state.currentIndex = _state.store.length
-                    success = st
+            /**
+             * Holds states as nodes in a tree. The linear functions operate on the active branch: the path from the first
+             * node to the branch tip, which is always a leaf. Adds:
+             *      fork(index, state, meta) - Add a state as a new child of the node at `index` and make it the tip.
+             *      ids()                   - Node ids on the active branch.
+             *      node(id)                - The node `{ id, parent, children, state, meta }` or `undefined`. Id `0` is the root.
+             *      depth(id)               - Number of nodes from the first node to `id`, inclusive.
+             *      goto(id)                - Make the branch through `id` active. Returns the index of `id`, `-1` if missing.
+             *      leaves()                - Every leaf node.
+             *      find(fn)                - The first node `fn` returns `true` for, `undefined` if none. Skips the root.
+             *      save()                  - Serializable copy of the tree.
+             *      restore(data, check)    - Replace the tree with a `save()` copy. Returns `false` if it is malformed.
+             *                                `check(metas)` returns the metadata to use for the saved node metadata.
+             */
+            tree: _ => {
+                /** Nodes by id. Node `0` is an internal root without a state. */
+                let nodes
+                let tip
+                let nextId
+                const reset = _ => {
+                    nodes = new Map([[0, { id: 0, parent: null, children: [], state: undefined, meta: undefined }]])
+                    tip = 0
+                    nextId = 1
+                }
+                reset()
+                const node = id => nodes.get(id)
+                const lineage = id => {
+                    const ids = []
+                    for (let n = node(id); n && n.id !== 0; n = node(n.parent)) ids.unshift(n.id)
+                    return ids
+                }
+                const path = _ => lineage(tip)
+                const latestLeaf = id => {
+                    let n = node(id)
+                    while (n.children.length) n = node(n.children[n.children.length - 1])
+                    return n.id
+                }
+                const add = (parentId, state, position, meta) => {
+                    const n = { id: nextId++, parent: parentId, children: [], state: state, meta: meta }
+                    const siblings = node(parentId).children
+                    nodes.set(n.id, n)
+                    siblings.splice(position === undefined ? siblings.length : position, 0, n.id)
+                    return n
+                }
+                return {
+                    length: _ => path().length,
+                    get: index => {
+                        const id = path()[index]
+                        return id === undefined ? undefined : node(id).state
+                    },
+                    all: _ => path().map(id => node(id).state),
+                    insert: (index, state, meta) => {
+                        const ids = path()
+                        if (index >= ids.length) {
+                            tip = add(ids.length ? ids[ids.length - 1] : 0, state, undefined, meta).id
+                            return
+                        }
+                        const next = node(ids[index])
+                        const parent = node(next.parent)
+                        const position = parent.children.indexOf(next.id)
+                        parent.children.splice(position, 1)
+                        const n = add(parent.id, state, position, meta)
+                        n.children.push(next.id)
+                        next.parent = n.id
+                    },
+                    remove: index => {
+                        const n = node(path()[index])
+                        const parent = node(n.parent)
+                        parent.children.splice(parent.children.indexOf(n.id), 1, ...n.children)
+                        n.children.forEach(id => node(id).parent = parent.id)
+                        nodes.delete(n.id)
+                        if (tip === n.id) tip = latestLeaf(parent.id)
+                        return n.state
+                    },
+                    set: (index, state, meta) => {
+                        const n = node(path()[index])
+                        n.state = state
+                        if (meta) n.meta = meta
+                    },
+                    load: (states, metas) => {
+                        reset()
+                        states.forEach((state, i) => tip = add(tip, state, undefined, metas[i]).id)
+                    },
+                    meta: index => {
+                        const id = path()[index]
+                        return id === undefined ? undefined : node(id).meta
+                    },
+                    metas: _ => path().map(id => node(id).meta),
+                    fork: (index, state, meta) => {
+                        tip = add(index > -1 ? path()[index] : 0, state, undefined, meta).id
+                    },
+                    ids: path,
+                    node: node,
+                    depth: id => lineage(id).length,
+                    goto: id => {
+                        if (id === 0 || !nodes.has(id)) return -1
+                        if (path().indexOf(id) < 0) tip = latestLeaf(id)
+                        return lineage(id).length - 1
+                    },
+                    leaves: _ => Array.from(nodes.values()).filter(n => n.id !== 0 && !n.children.length),
+                    find: fn => Array.from(nodes.values()).find(n => n.id !== 0 && fn(n)),
+                    save: _ => ({
+                        tip: tip,
+                        roots: node(0).children.slice(),
+                        nodes: Array.from(nodes.values()).filter(n => n.id !== 0).map(n => ({
+                            id: n.id,
+                            parent: n.parent,
+                            children: n.children.slice(),
+                            state: n.state,
+                            meta: n.meta,
+                        })),
+                    }),
+                    restore: (data, check) => {
+                        if (!data || !Array.isArray(data.roots) || !Array.isArray(data.nodes)) return false
+                        const restored = new Map([[0, { id: 0, parent: null, children: data.roots.slice(), state: undefined, meta: undefined }]])
+                        data.nodes.forEach(n => restored.set(n.id, {
+                            id: n.id,
+                            parent: n.parent,
+                            children: Array.isArray(n.children) ? n.children.slice() : [],
+                            state: n.state,
+                            meta: undefined,
+                        }))
+                        const valid = Array.from(restored.values()).every(n => (n.id === 0 || restored.has(n.parent))
+                            && n.children.every(id => restored.has(id) && restored.get(id).parent === n.id))
+                        if (!valid) return false
+                        const metas = check(data.nodes.map(n => n.meta))
+                        data.nodes.forEach((n, i) => restored.get(n.id).meta = metas[i])
+                        nodes = restored
+                        nextId = Math.max.apply(null, Array.from(nodes.keys())) + 1
+                        tip = nodes.has(data.tip) && !node(data.tip).children.length ? data.tip : latestLeaf(0)
+                        return true
+                    },
                 }
-                handleCB(callback, success)
-                return success
             },
 
-            replace: (index, state, callback) => {
-                const success = _private.delete(index, _ => {})
-                if (success) return _private.insert(index, state, callback)
+            /**
+             * Holds `KDStateManager~Command` records, with full states (keyframes) where states were appended, inserted,
+             * or replaced, or a snapshot was taken. One working state is kept and moved between indices by running the
+             * commands' `revert` and `apply` functions, starting again from the nearest keyframe when it cannot be
+             * reverted. Before the first keyframe commands apply to `{}`. Changes in the middle of the history turn the
+             * following record into a keyframe, since its command no longer follows the state before it. Adds:
+             *      execute(index, command, meta)  - Apply a command to the state at `index`, drop the records after it,
+             *                                      and add the command. Returns the new state.
+             *      merge(command, payload, meta)  - Apply a command to the newest state and record `payload` in its place.
+             *      command(index)                 - The command at `index`, `undefined` for a keyframe added as a state.
+             *      snapshot(index)                - Keep the full state at `index` as a keyframe. Returns the state.
+             *      save()                         - `{ store, commands }` arrays, `null` where a record has no keyframe or
+             *                                      command.
+             *      restore(data, metas)           - Replace the records with a `save()` copy.
+             * @param {function} handlers - Returns the `KDStateManager~CommandHandlers` for a command type.
+             */
+            commands: handlers => {
+                /** `{ command, keyframe }` with either or both. */
+                let records = []
+                let metas = []
+                /** The state at index `at`, changed in place by the commands. `at` is `null` when it must be rebuilt. */
+                let working
+                let at = null
+                /** Run `apply` or `revert`. A handler that throws may have changed the working state, so it is dropped. */
+                const run = (fn, state, command) => {
+                    const h = handlers(command.type)
+                    if (!h) throw new Error('No handlers for command type "' + command.type + '".')
+                    let result
+                    try {
+                        result = h[fn](state, command.payload)
+                    } catch (e) {
+                        at = null
+                        throw e
+                    }
+                    return result === undefined ? state : result
+                }
+                /** Move the working state to `index`, reverting if every record on the way has a command. */
+                const move = index => {
+                    if (at === index) return working
+                    if (at !== null && index < at && records.slice(index + 1, at + 1).every(r => r.command)) {
+                        for (let i = at; i > index; i--) working = run('revert', working, records[i].command)
+                    } else {
+                        let k = index
+                        while (k > -1 && !records[k].keyframe) k--
+                        const from = at !== null && at > k && at < index ? at : k
+                        if (from === k) working = k > -1 ? deepCopy(records[k].keyframe) : {}
+                        for (let i = from + 1; i <= index; i++) working = run('apply', working, records[i].command)
+                    }
+                    at = index
+                    return working
+                }
+                /** Make the record at `index` a keyframe holding only its full state. */
+                const pin = index => {
+                    if (records[index] && records[index].command) records[index] = { keyframe: deepCopy(move(index)) }
+                }
+                return {
+                    length: _ => records.length,
+                    get: index => records[index] ? move(index) : undefined,
+                    all: _ => records.map((r, i) => deepCopy(move(i))),
+                    insert: (index, state, meta) => {
+                        pin(index)
+                        records.splice(index, 0, { keyframe: state })
+                        metas.splice(index, 0, meta)
+                        if (at !== null && at >= index) at = null
+                    },
+                    remove: index => {
+                        const state = deepCopy(move(index))
+                        pin(index + 1)
+                        records.splice(index, 1)
+                        metas.splice(index, 1)
+                        at = null
+                        return state
+                    },
+                    set: (index, state, meta) => {
+                        pin(index + 1)
+                        records[index] = { keyframe: state }
+                        if (meta) metas[index] = meta
+                        if (at !== null && at >= index) at = null
+                    },
+                    load: (states, m) => {
+                        records = states.map(state => ({ keyframe: state }))
+                        metas = m
+                        at = null
+                    },
+                    meta: index => metas[index],
+                    metas: _ => metas,
+                    execute: (index, command, meta) => {
+                        working = run('apply', move(index), command)
+                        records = records.slice(0, index + 1).concat({ command: command })
+                        metas = metas.slice(0, index + 1).concat(meta)
+                        at = records.length - 1
+                        return working
+                    },
+                    merge: (command, payload, meta) => {
+                        const last = records.length - 1
+                        working = run('apply', move(last), command)
+                        records[last] = { command: { type: command.type, payload: payload } }
+                        metas[last] = meta
+                        return working
+                    },
+                    command: index => records[index] ? records[index].command : undefined,
+                    snapshot: index => records[index].keyframe = deepCopy(move(index)),
+                    save: _ => ({
+                        store: records.map(r => r.keyframe === undefined ? null : r.keyframe),
+                        commands: records.map(r => r.command || null),
+                    }),
+                    restore: (data, m) => {
+                        records = data.store.map((state, i) => {
+                            const r = {}
+                            if (state !== null) r.keyframe = state
+                            if (data.commands[i] !== null) r.command = data.commands[i]
+                            return r
+                        })
+                        metas = m
+                        at = null
+                    },
+                }
             },
 
-            undo: callback => _state.currentIndex > 0 ? _private.recall((_state.currentIndex - 1), callback) : false,
+        }
+
+        /** Check to ensure command handlers implement `apply` and `revert`, and `merge` if any. */
+        const checkCommand = handlers => isObject(handlers) && typeof handlers.apply === 'function' && typeof handlers.revert === 'function'
+            && (handlers.merge === undefined || typeof handlers.merge === 'function')
 
-            redo: callback => _state.currentIndex < this.index.last() ? _private.recall((_state.currentIndex + 1), callback) : false,
+        /** Check to ensure a template entry is a `function` or a `KDStateManager~Descriptor`. */
+        const checkEntry = entry => typeof entry === 'function' || (isObject(entry) && !Array.isArray(entry)
+            && ['apply', 'validate'].every(fn => entry[fn] === undefined || typeof entry[fn] === 'function'))
+
+        /** Check to ensure a `template` consists only of keyed `functions` or descriptors. */
+        const checkTemplate = template => {
+            let success = true
+            if (isObject(template)) {
+                Object.values(template).forEach(value => {
+                    if (!checkEntry(value)) success = false
+                })
+            } else success = false
+            return success
+        }
 
+        /**
+         * Split a valid template into the parts used internally.
+         * @returns {object} `definition` is a copy of the template, `template` holds the apply function (or `null`) for each
+         *                   key, and `schema` holds the descriptor for each descriptor key.
+         */
+        const compileTemplate = template => {
+            const compiled = { definition: {}, template: {}, schema: {} }
+            Object.keys(template).forEach(key => {
+                const entry = template[key]
+                if (typeof entry === 'function') {
+                    compiled.definition[key] = entry
+                    compiled.template[key] = entry
+                    return
+                }
+                const descriptor = Object.assign({}, entry)
+                if (hasKey(descriptor, 'default')) descriptor.default = deepCopy(descriptor.default)
+                compiled.definition[key] = descriptor
+                compiled.template[key] = descriptor.apply || null
+                compiled.schema[key] = descriptor
+            })
+            return compiled
         }
 
-        /** Object holding functions for getting/setting indices used with `store`, `undo()`, and `redo()`. */
-        this.index = {
+        /** Type name used by descriptors. */
+        const typeOf = value => value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value
+        /** Describe a descriptor `type` for error messages. */
+        const typeName = type => (Array.isArray(type) ? type : [type]).map(t => typeof t === 'function' ? t.name : t).join(' or ')
+        /** `true` if the value matches a descriptor `type`. */
+        const matchesType = (value, type) => (Array.isArray(type) ? type : [type])
+            .some(t => t === 'any' || (typeof t === 'function' ? value instanceof t : typeOf(value) === t))
+        /** Convert primitives to the first descriptor `type`, or `undefined` if they can't be. */
+        const coerceValue = (value, type) => {
+            const t = Array.isArray(type) ? type[0] : type
+            if (t === 'number' && typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) return Number(value)
+            if (t === 'string' && ['number', 'boolean'].indexOf(typeof value) > -1) return String(value)
+            if (t === 'boolean' && (value === 'true' || value === 'false')) return value === 'true'
+            return undefined
+        }
+
+        /** Hold mutable state properties. */
+        const _state = {
+            /** Apply functions keyed by template key. See `compileTemplate()` and `this.template()`. */
+            template: {},
+            /** Descriptors keyed by template key. */
+            schema: {},
+            /** The template as passed in. */
+            definition: {},
+            /** Stored state objects. See `histories`. */
+            history: isObject(params.commands) ? histories.commands(type => _state.commands[type])
+                : params.tree || params.appendPolicy === 'branch' ? histories.tree() : params.diff && !params.immutable
+                ? histories.diff(Number.isInteger(params.keyframeInterval) && params.keyframeInterval > 0 ? params.keyframeInterval : 10)
+                : histories.full(),
+            /** Command handlers keyed by type, `null` outside of command mode. See the `commands` param. */
+            commands: isObject(params.commands) ? Object.keys(params.commands).reduce((commands, type) => {
+                if (checkCommand(params.commands[type])) commands[type] = params.commands[type]
+                return commands
+            }, {}) : null,
+            /** See the `immutable` param. Ignored in command mode. */
+            immutable: !!params.immutable && !isObject(params.commands),
+            /** Current index used with `undo`/`redo`. */
+            currentIndex: (params.currentIndex != undefined && params.currentIndex > -1) ? params.currentIndex : -1,
+            /** Storage adapter used by `this.storage`. */
+            adapter: checkAdapter(params.storage) ? params.storage : defaultAdapter(),
+            /** Version of the state shape. See `this.export()`. */
+            version: Number.isInteger(params.version) && params.version > 0 ? params.version : 1,
+            /** Migration functions keyed by the version they upgrade from. See `this.migrations`. */
+            migrations: {},
+            /** See the `appendPolicy` param. `'branch'` is handled by the tree history. */
+            appendPolicy: params.appendPolicy === 'truncate' ? 'truncate' : 'keep',
+            /** See the `maxLength`, `evict`, and `thinEvery` params. */
+            limit: {
+                maxLength: Number.isInteger(params.maxLength) && params.maxLength > 0 ? params.maxLength : 0,
+                evict: params.evict === 'thin' ? 'thin' : 'oldest',
+                thinEvery: Number.isInteger(params.thinEvery) && params.thinEvery > 1 ? params.thinEvery : 2,
+            },
+            /** See `this.onEvict()`. */
+            onEvict: typeof params.onEvict === 'function' ? params.onEvict : null,
+            /** See the `async` param. */
+            async: !!params.async,
             /**
-             * Set the `currentIndex`.
-             * @param {number} index
-             * @error Fails if the passed `index` does not exist in the `store`.
+             * Async recall pipeline. `running` settles when the last started recall has, `latest` numbers the newest
+             * recall, `pending` counts unsettled recalls, and `shown` is the state the template functions last reflected.
              */
-            set: index => _state.store[index] ? _state.currentIndex = index : dev.error('Unable to set current index.\n Invalid index (' + index + ').'),
-            /** @returns a deep copy of the `currentIndex`. */
-            current: _ => deepCopy(_state.currentIndex),
-            /** @returns the index for the last element in the `store`. */
-            last: _ => _state.store.length - 1,
-            /** @returns the index for the first element in the `store`. */
-            first: _ => 0,
+            recalls: { running: Promise.resolve(), latest: 0, pending: 0, shown: undefined },
+            /** The open transaction, `null` outside of `this.transaction()`. */
+            transaction: null,
+            /** See the `coalesce` param. */
+            coalesce: isObject(params.coalesce) ? Object.assign({}, params.coalesce) : {},
+            /** The open merge group `{ key, time, merged }` started by the newest append, `null` once closed. */
+            merge: null,
+            /** See the `validation` param. */
+            validation: ['coerce', 'off'].indexOf(params.validation) > -1 ? params.validation : 'reject',
+            /** See the `delta`, `missingKeys`, and `defaults` params. */
+            recall: {
+                delta: !!params.delta,
+                missingKeys: ['skip', 'default'].indexOf(params.missingKeys) > -1 ? params.missingKeys : 'undefined',
+                defaults: isObject(params.defaults) ? deepCopy(params.defaults) : {},
+            },
+            /** Id given to the next stored entry. See `entryMeta()`. */
+            nextId: 1,
+            /** Functions registered with `this.use()`, outermost first. */
+            middleware: [],
+            /** See the `errorMode` param. */
+            errorMode: ['lenient', 'strict'].indexOf(params.errorMode) > -1 ? params.errorMode : null,
+            /** Entry ids keyed by bookmark name. See `this.bookmark()`. */
+            bookmarks: new Map(),
+            /**
+             * Child instances keyed by scope name, as `{ manager, id, off }`: `id` is the id of the child's current entry
+             * as last recorded, and `off` unsubscribes from the child's events. See `this.scopes`.
+             */
+            scopes: new Map(),
+            /** See `this.autosave`. `key` is `null` while autosave is off. */
+            autosave: {
+                key: null,
+                throttle: 0,
+                idle: 0,
+                /** Ops made since the newest checkpoint, and the `journal` id written into that checkpoint. */
+                journal: [],
+                base: null,
+                /** Counts checkpoints, for their `journal` ids. */
+                checkpoints: 0,
+                timer: null,
+                /** When the oldest change not in a checkpoint was made, and when the newest checkpoint was written. */
+                dirty: 0,
+                saved: 0,
+                /** Settles when the last queued adapter call has, `null` if none is pending. */
+                queue: null,
+                /** The strings saved by a session that did not stop cleanly: `{ timestamp, checkpoint, journal }`. */
+                recovery: null,
+                /** Removes the page lifecycle listeners. */
+                off: null,
+            },
+            /** See `this.sync`. */
+            sync: {
+                channel: null,
+                unsubscribe: null,
+                /** Identifies this instance in sync messages. */
+                source: Math.random().toString(36).slice(2) + Date.now().toString(36),
+                /** The newest change applied here, local or remote, as `{ revision, time, source }`. */
+                head: { revision: 0, time: 0, source: '' },
+                /** `true` while a remote change is being applied. Read and cleared by `notify()`. */
+                applying: false,
+                /** Head of the snapshot requested from another context, `null` if none is pending. */
+                requested: null,
+                /** `true` if the requested snapshot will discard local changes. */
+                conflict: false,
+                /** Messages received during a transaction, applied once it ends. */
+                queue: [],
+            },
         }
 
         /**
-         * Get/set the `template`. The template is the set of functions that will be run for each key when a state is recalled.
-         * @param {object=} template - Object containing keyed functions. Keys should match the keys for any state objects 
-         *                             that will be stored, and the values should be functions handling the state values.
-         * @param {function=} callback - The returned template is also passed as a parameter to the callback.
-         * @notes The value will be stored as a deep copy with no references.
-         * @returns {object} The newly copied `template`.
-         * @error Fails if the `template` is invalid.
-         * @example
-         * 
-         *      const state = {
-         *          level: 34,
-         *          class: 'warrior',
-         *          stats: [5, 5, 5, 5],
-         *          equip: {
-         *              hands: gloves,
-         *              head: hat,
+         * Metadata for a new entry.
+         * @param {object=} options - Optional `label` and `tags`.
+         * @returns {object} `{ id, label, timestamp, tags }`. The `id` is unique to the instance and never changes.
+         */
+        const entryMeta = options => {
+            const opts = isObject(options) ? options : {}
+            return {
+                id: _state.nextId++,
+                label: typeof opts.label === 'string' ? opts.label : null,
+                timestamp: Date.now(),
+                tags: Array.isArray(opts.tags) ? deepCopy(opts.tags) : [],
+            }
+        }
+        /** Metadata for an entry whose state changed. Keeps the `id`, and the `label` and `tags` unless `options` has new ones. */
+        const updatedMeta = (meta, options) => {
+            const opts = isObject(options) ? options : {}
+            return {
+                id: meta.id,
+                label: typeof opts.label === 'string' || opts.label === null ? opts.label : meta.label,
+                timestamp: Date.now(),
+                tags: Array.isArray(opts.tags) ? deepCopy(opts.tags) : meta.tags.slice(),
+            }
+        }
+        /** `true` if the value looks like entry metadata. */
+        const isMeta = meta => isObject(meta) && (typeof meta.id === 'number' || typeof meta.id === 'string')
+        /**
+         * Check saved metadata. Invalid or duplicate entries get new metadata, and numeric ids move `nextId` past them.
+         * @param {array} metas - The saved metadata.
+         * @returns {array}
+         */
+        const restoreMetas = metas => {
+            const seen = new Set()
+            const valid = metas.map(meta => {
+                if (!isMeta(meta) || seen.has(meta.id)) return false
+                seen.add(meta.id)
+                if (typeof meta.id === 'number' && meta.id >= _state.nextId) _state.nextId = Math.floor(meta.id) + 1
+                return true
+            })
+            return metas.map((meta, i) => valid[i] ? {
+                id: meta.id,
+                label: typeof meta.label === 'string' ? meta.label : null,
+                timestamp: typeof meta.timestamp === 'number' ? meta.timestamp : null,
+                tags: Array.isArray(meta.tags) ? meta.tags : [],
+            } : entryMeta())
+        }
+        /** Metadata for states being loaded. Uses `metas` if there is one for every state, otherwise new metadata. */
+        const loadMetas = (states, metas) => Array.isArray(metas) && metas.length === states.length
+            ? restoreMetas(metas)
+            : states.map(_ => entryMeta())
+
+        if (checkTemplate(template)) Object.assign(_state, compileTemplate(template))
+        if (Array.isArray(params.store)) _state.history.load(storedAll(deepCopy(params.store)), loadMetas(params.store))
+
+        /** `true` if the instance keeps a branching history. */
+        const isTree = _ => typeof _state.history.fork === 'function'
+        /** `true` if the instance records commands. See the `commands` param. */
+        const isCommands = _ => !!_state.commands
+
+        /** Marks a template key that should not be called. */
+        const skipKey = {}
+        /** The value a template function receives for `key` when recalling `state`, or `skipKey`. */
+        const keyValue = (state, key) => {
+            if (state && hasKey(state, key)) return state[key]
+            if (_state.schema[key] && hasKey(_state.schema[key], 'default')) return deepCopy(_state.schema[key].default)
+            if (_state.recall.missingKeys === 'skip') return skipKey
+            if (_state.recall.missingKeys === 'default' && hasKey(_state.recall.defaults, key)) return deepCopy(_state.recall.defaults[key])
+            return undefined
+        }
+        /**
+         * The template calls for recalling a state.
+         * @param {object} state - The recalled state.
+         * @param {object=} previous - The state the template functions currently reflect. Used by the `delta` param.
+         * @returns {array} `[key, value]` pairs.
+         */
+        const templateCalls = (state, previous) => Object.keys(_state.template).filter(key => _state.template[key]).reduce((calls, key) => {
+            const value = keyValue(state, key)
+            if (value === skipKey) return calls
+            if (_state.recall.delta && previous !== undefined && deepEqual(value, keyValue(previous, key))) return calls
+            calls.push([key, value])
+            return calls
+        }, [])
+
+        /**
+         * Describe failed template functions.
+         * @param {array} failed - `{ key, error }` for each failed template function.
+         * @returns {HandlerError}
+         */
+        const handlerError = failed => new HandlerError('Template function failed for key' + (failed.length > 1 ? 's ' : ' ')
+            + failed.map(f => '"' + f.key + '"').join(', ') + ': '
+            + failed.map(f => f.error && f.error.message ? f.error.message : f.error).join('; '), {
+            key: failed[0].key,
+            keys: failed.map(f => f.key),
+            errors: failed.map(f => f.error),
+        })
+        /**
+         * Call the template functions for recalling a state. See `templateCalls()`.
+         * @returns {HandlerError|null} The error if any template function threw. The others still run.
+         */
+        const callTemplate = (state, previous) => {
+            const failed = []
+            templateCalls(state, previous).forEach(call => {
+                try {
+                    _state.template[call[0]](call[1])
+                } catch (e) {
+                    failed.push({ key: call[0], error: e })
+                }
+            })
+            return failed.length ? handlerError(failed) : null
+        }
+
+        /**
+         * Check a state against the template descriptors.
+         * @param {object} state - The state. Not modified.
+         * @returns {object} `{ state, errors }` where `state` is a copy, coerced with the `'coerce'` validation mode, and
+         *                   `errors` is an array of `{ key, message }`.
+         */
+        const checkState = state => {
+            const keys = Object.keys(_state.schema)
+            if (_state.validation === 'off' || !keys.length) return { state: deepCopy(state), errors: [] }
+            if (!isObject(state) || Array.isArray(state)) return { state: state, errors: [{ key: null, message: 'State must be an object.' }] }
+            const coerce = _state.validation === 'coerce'
+            const result = deepCopy(state)
+            const errors = []
+            keys.forEach(key => {
+                const d = _state.schema[key]
+                if (!hasKey(result, key) || result[key] === undefined) {
+                    if (coerce && hasKey(d, 'default')) result[key] = deepCopy(d.default)
+                    else if (d.required) errors.push({ key: key, message: 'is required.' })
+                    return
+                }
+                if (d.type !== undefined && !matchesType(result[key], d.type)) {
+                    const coerced = coerce ? coerceValue(result[key], d.type) : undefined
+                    if (coerced !== undefined) result[key] = coerced
+                    else if (coerce && hasKey(d, 'default')) result[key] = deepCopy(d.default)
+                    else return errors.push({ key: key, message: 'expected ' + typeName(d.type) + ', got ' + typeOf(result[key]) + '.' })
+                }
+                if (d.validate) {
+                    let valid
+                    try {
+                        valid = d.validate(result[key], result)
+                    } catch (e) {
+                        valid = e && e.message ? e.message : String(e)
+                    }
+                    if (valid === false || typeof valid === 'string') errors.push({ key: key, message: valid || 'failed validation.' })
+                }
+            })
+            return { state: result, errors: errors }
+        }
+
+        /** Pass a recall result to the callback. In async mode failures resolve rather than return `false`. */
+        const recallResult = (callback, success) => {
+            handleCB(callback, success)
+            return _state.async ? Promise.resolve(success) : success
+        }
+
+        /** `true` if `index` points at a stored state. */
+        const hasIndex = index => Number.isInteger(index) && index > -1 && index < _state.history.length()
+
+        /**
+         * Compare two states key by key. See `this.diff()`.
+         * @param {object=} before - The earlier state. `undefined` treats every key of `after` as added.
+         * @param {object} after - The later state.
+         * @returns {array} `KDStateManager~Change` objects for the keys of `before`, then the keys only in `after`.
+         */
+        const changes = (before, after) => {
+            before = isObject(before) ? before : {}
+            after = isObject(after) ? after : {}
+            const keys = Object.keys(before).concat(Object.keys(after).filter(key => !hasKey(before, key)))
+            return keys.reduce((result, key) => {
+                const had = hasKey(before, key)
+                const has = hasKey(after, key)
+                if (had && has && deepEqual(before[key], after[key])) return result
+                const path = '/' + patch.escape(key)
+                result.push({
+                    key: key,
+                    type: !had ? 'added' : !has ? 'removed' : 'changed',
+                    before: had ? before[key] : undefined,
+                    after: has ? after[key] : undefined,
+                    ops: !had ? [{ op: 'add', path: path, value: deepCopy(after[key]) }]
+                        : !has ? [{ op: 'remove', path: path }]
+                        : patch.patchable(before[key]) && patch.patchable(after[key]) ? patch.diff(before[key], after[key], path)
+                        : [{ op: 'replace', path: path, value: deepCopy(after[key]) }],
+                })
+                return result
+            }, [])
+        }
+
+        /** Holds private functions. See the public functions for descriptions. */
+        const _private = {
+
+            template: (template, callback) => {
+                let success = false
+                if (checkTemplate(template)) {
+                    Object.assign(_state, compileTemplate(template))
+                    success = Object.assign({}, _state.definition)
+                }
+                handleCB(callback, success)
+                return success
+            },
+
+            /**
+             * Validate states before they are stored. Failures go to `dev.error()` as an `InvalidStateError` with a line per key.
+             * @param {array} states - The states to check.
+             * @param {boolean=} indexed - Prefix each line with the index of the state in `states`.
+             * @returns {array|boolean} Copies of the states, coerced with the `'coerce'` validation mode, or `false`.
+             */
+            validate: (states, indexed) => {
+                const lines = []
+                const errors = []
+                const checked = states.map((state, i) => {
+                    const result = checkState(state)
+                    result.errors.forEach(e => {
+                        lines.push((indexed ? '[' + i + '] ' : '') + (e.key === null ? '' : e.key + ': ') + e.message)
+                        errors.push(indexed ? Object.assign({ index: i }, e) : e)
+                    })
+                    return result.state
+                })
+                if (!lines.length) return checked
+                dev.error(new InvalidStateError('Invalid state.\n ' + lines.join('\n '), { key: errors[0].key, errors: errors }))
+                return false
+            },
+
+            store: (store, callback) => {
+                let success = false
+                const s = Array.isArray(store) ? _private.validate(store, true) : false
+                if (Array.isArray(s)) {
+                    _state.history.load(storedAll(s), loadMetas(s))
+                    _state.currentIndex = this.index.last()
+                    _private.evict()
+                    success = _state.immutable ? copyOutAll() : s
+                }
+                handleCB(callback, success)
+                return success
+            },
+
+            storage: {
+                /**
+                 * Run an adapter call, catching both thrown errors and rejected promises.
+                 * @param {function} call - Calls the adapter.
+                 * @param {function} onResult - Maps the adapter result to the returned value.
+                 * @param {function=} callback - Passed the returned value.
+                 * @param {string=} key - The key, for the `StorageError` reported if the adapter fails.
+                 */
+                run: (call, onResult, callback, key) => {
+                    const fail = e => {
+                        const quota = isQuotaError(e)
+                        dev.error(e instanceof KDStateManagerError ? e
+                            : new StorageError((quota ? 'Storage quota exceeded.\n ' : 'Storage adapter failed.\n ') + (e && e.message ? e.message : e), { key: key, cause: e, quota: quota }))
+                        handleCB(callback, false)
+                        return false
+                    }
+                    const done = result => {
+                        const success = onResult(result)
+                        handleCB(callback, success)
+                        return success
+                    }
+                    let result
+                    try {
+                        result = call()
+                    } catch (e) {
+                        return fail(e)
+                    }
+                    return isPromise(result) ? result.then(done, fail) : done(result)
+                },
+                set: (key, callback) => _private.storage.run(
+                    _ => _state.adapter.set(key, serializer.stringify(_private.export())),
+                    _ => true,
+                    callback,
+                    key,
+                ),
+                get: (key, callback) => _private.storage.run(
+                    _ => _state.adapter.get(key),
+                    retrieved => typeof retrieved === 'string' ? _private.import(retrieved) : false,
+                    callback,
+                    key,
+                ),
+                remove: (key, callback) => _private.storage.run(_ => _state.adapter.remove(key), _ => true, callback, key),
+                list: callback => _private.storage.run(
+                    _ => _state.adapter.list(),
+                    keys => Array.isArray(keys) ? keys.slice() : false,
+                    callback,
+                ),
+                adapter: (adapter, callback) => {
+                    let success = false
+                    if (checkAdapter(adapter)) {
+                        _state.adapter = adapter
+                        success = adapter
+                    }
+                    handleCB(callback, success)
+                    return success
+                },
+            },
+
+            /**
+             * Persists to the storage adapter after changes. The newest checkpoint is an envelope under `key`, every change
+             * since is written ahead to `key.journal`, and `key.session` marks a session that has not stopped cleanly.
+             */
+            autosave: {
+                keys: _ => ({
+                    checkpoint: _state.autosave.key,
+                    journal: _state.autosave.key + '.journal',
+                    session: _state.autosave.key + '.session',
+                }),
+                /**
+                 * Run an adapter call, reporting failures as a `StorageError`. A full storage compacts the journal into a
+                 * checkpoint.
+                 * @returns {any} The result of the call, `false` if it failed. A `Promise` if the adapter is asynchronous.
+                 */
+                call: (fn, key) => {
+                    const fail = e => {
+                        const quota = isQuotaError(e)
+                        dev.error(e instanceof KDStateManagerError ? e
+                            : new StorageError('Unable to autosave.\n ' + (quota ? 'Storage quota exceeded.' : e && e.message ? e.message : e), { key: key, cause: e, quota: quota }))
+                        if (quota && key === _private.autosave.keys().journal && _state.autosave.journal.length) _private.autosave.flush()
+                        return false
+                    }
+                    let result
+                    try {
+                        result = fn()
+                    } catch (e) {
+                        return fail(e)
+                    }
+                    return isPromise(result) ? result.then(null, fail) : result
+                },
+                /** Run a task once the queued ones have settled, so asynchronous adapters write in order. */
+                queue: task => {
+                    const autosave = _state.autosave
+                    const run = autosave.queue ? autosave.queue.then(task, task) : task()
+                    if (!isPromise(run)) return run
+                    const clear = _ => { if (autosave.queue === run) autosave.queue = null }
+                    autosave.queue = run
+                    run.then(clear, clear)
+                    return run
+                },
+                /**
+                 * Turn autosave on. Reads the session left by an unclean shutdown, then marks the session as open. The
+                 * saved history is kept until the first change.
+                 * @returns {object|boolean} The `{ key, throttle, idle }` used, `false` if the options are invalid.
+                 */
+                start: options => {
+                    if (!isObject(options) || typeof options.key !== 'string' || !options.key) return false
+                    if (_state.autosave.key) _private.autosave.stop()
+                    const autosave = _state.autosave
+                    const wait = value => Number.isInteger(value) && value > 0 ? value : 0
+                    autosave.key = options.key
+                    autosave.idle = wait(options.idle)
+                    autosave.throttle = wait(options.throttle) || (autosave.idle ? 0 : 1000)
+                    autosave.journal = []
+                    autosave.base = null
+                    autosave.recovery = null
+                    const keys = _private.autosave.keys()
+                    const get = key => _private.autosave.call(_ => _state.adapter.get(key), key)
+                    _private.autosave.queue(_ => settle(get(keys.session), session => typeof session !== 'string' ? null
+                        : settle(get(keys.checkpoint), checkpoint => settle(get(keys.journal), journal => {
+                            if (checkpoint === false || journal === false) return
+                            let timestamp = null
+                            try {
+                                timestamp = serializer.parse(session).timestamp
+                            } catch (e) {}
+                            autosave.recovery = {
+                                timestamp: timestamp,
+                                checkpoint: typeof checkpoint === 'string' ? checkpoint : null,
+                                journal: typeof journal === 'string' ? journal : null,
+                            }
+                            dev.info('Autosave found a session that did not stop cleanly. See recoverSession().', { key: autosave.key })
+                        }))))
+                    _private.autosave.mark(true)
+                    if (typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+                        const hide = _ => settle(_private.autosave.flush(), _ => _private.autosave.mark(false))
+                        const show = e => e.persisted && _private.autosave.mark(true)
+                        window.addEventListener('pagehide', hide)
+                        window.addEventListener('pageshow', show)
+                        autosave.off = _ => {
+                            window.removeEventListener('pagehide', hide)
+                            window.removeEventListener('pageshow', show)
+                        }
+                    }
+                    return { key: autosave.key, throttle: autosave.throttle, idle: autosave.idle }
+                },
+                /** Write a final checkpoint, mark the session as stopped cleanly, and turn autosave off. */
+                stop: _ => {
+                    const autosave = _state.autosave
+                    if (!autosave.key) return false
+                    const flushed = _private.autosave.flush()
+                    const marked = _private.autosave.mark(false)
+                    clearTimeout(autosave.timer)
+                    if (autosave.off) autosave.off()
+                    autosave.off = null
+                    autosave.key = null
+                    return settle(flushed, ok => settle(marked, _ => ok !== false))
+                },
+                /** Write or remove the marker of an open session. */
+                mark: open => {
+                    const key = _private.autosave.keys().session
+                    const value = { timestamp: Date.now(), source: _state.sync.source }
+                    return _private.autosave.queue(_ => _private.autosave.call(_ => open
+                        ? _state.adapter.set(key, serializer.stringify(value))
+                        : _state.adapter.remove(key), key))
+                },
+                /**
+                 * Journal a change made by `notify()` and schedule a checkpoint. Snapshots and the first change of the
+                 * session are checkpointed right away, so the journal always follows a checkpoint of this session.
+                 */
+                record: (type, payload, previousIndex) => {
+                    const autosave = _state.autosave
+                    if (!autosave.key) return
+                    const op = _private.ops.encode(type, payload, previousIndex)
+                    if (!op) return
+                    if (op.type === 'snapshot' || autosave.base === null) return _private.autosave.flush()
+                    autosave.journal.push(op)
+                    const key = _private.autosave.keys().journal
+                    _private.autosave.queue(_ => _private.autosave.journal(key))
+                    _private.autosave.schedule()
+                },
+                /** Write the journal under `key` as it is when the queue reaches it. */
+                journal: key => {
+                    const autosave = _state.autosave
+                    return _private.autosave.call(_ => _state.adapter.set(key, serializer.stringify({ base: autosave.base, ops: autosave.journal })), key)
+                },
+                /**
+                 * Set the checkpoint timer. With `idle`, it restarts on every change, but never waits longer than `throttle`
+                 * after the first unsaved one. Otherwise checkpoints are at least `throttle` apart.
+                 */
+                schedule: _ => {
+                    const autosave = _state.autosave
+                    const now = Date.now()
+                    if (!autosave.dirty) autosave.dirty = now
+                    let wait = autosave.idle || Math.max(0, autosave.saved + autosave.throttle - now)
+                    if (autosave.idle && autosave.throttle) wait = Math.min(wait, Math.max(0, autosave.dirty + autosave.throttle - now))
+                    clearTimeout(autosave.timer)
+                    autosave.timer = setTimeout(_ => _private.autosave.flush(), wait)
+                    if (autosave.timer && typeof autosave.timer.unref === 'function') autosave.timer.unref()
+                },
+                /**
+                 * Write a checkpoint of the history, then the journal of the changes made since it was taken.
+                 * @returns {boolean|Promise<boolean>} Whether the checkpoint was written.
+                 */
+                flush: _ => {
+                    const autosave = _state.autosave
+                    if (!autosave.key) return false
+                    clearTimeout(autosave.timer)
+                    autosave.timer = null
+                    autosave.dirty = 0
+                    const envelope = _private.export()
+                    envelope.journal = _state.sync.source + '.' + (++autosave.checkpoints)
+                    const included = autosave.journal.length
+                    const keys = _private.autosave.keys()
+                    return _private.autosave.queue(_ => settle(_private.autosave.call(_ => _state.adapter.set(keys.checkpoint, serializer.stringify(envelope)), keys.checkpoint), ok => {
+                        if (ok === false) return false
+                        autosave.base = envelope.journal
+                        autosave.journal = autosave.journal.slice(included)
+                        autosave.saved = Date.now()
+                        return settle(_private.autosave.journal(keys.journal), _ => true)
+                    }))
+                },
+                /**
+                 * Restore the history saved by the session that did not stop cleanly: its newest checkpoint, then the
+                 * journaled changes made after it.
+                 * @returns {array|boolean} The recovered store, `false` if there is nothing to recover.
+                 */
+                recover: _ => {
+                    const autosave = _state.autosave
+                    const recovery = autosave.recovery
+                    if (!recovery) return false
+                    let checkpoint = null
+                    let journal = null
+                    try {
+                        if (recovery.checkpoint) checkpoint = serializer.parse(recovery.checkpoint)
+                        if (recovery.journal) journal = serializer.parse(recovery.journal)
+                    } catch (e) {
+                        dev.warn('Autosave could not parse the saved session. ' + (e && e.message ? e.message : e))
+                    }
+                    if (!(checkpoint ? _private.import(checkpoint) : _private.store([]))) return false
+                    const ops = isObject(journal) && journal.base === (checkpoint ? checkpoint.journal : null) && Array.isArray(journal.ops)
+                        ? journal.ops
+                        : []
+                    const failed = ops.findIndex(op => !isObject(op) || op.type === 'snapshot' || _private.ops.types.indexOf(op.type) < 0 || !_private.ops.run(op))
+                    if (failed > -1) dev.warn('Autosave recovered ' + failed + ' of ' + ops.length + ' journaled changes.')
+                    _private.evict()
+                    autosave.recovery = null
+                    return copyOutAll()
+                },
+            },
+
+            export: callback => {
+                const commands = isCommands() ? deepCopy(_state.history.save()) : null
+                const envelope = {
+                    format: envelopeFormat.name,
+                    formatVersion: envelopeFormat.version,
+                    version: _state.version,
+                    templateKeys: Object.keys(_state.template),
+                    timestamp: Date.now(),
+                    currentIndex: _state.currentIndex,
+                    store: commands ? commands.store : copyOutAll(),
+                    meta: deepCopy(_state.history.metas()),
+                    bookmarks: _private.bookmarks.save(),
+                }
+                if (isTree()) envelope.tree = copyOut(_state.history.save())
+                if (commands) envelope.commands = commands.commands
+                if (_state.scopes.size) envelope.scopes = _private.scopes.export()
+                handleCB(callback, envelope)
+                return envelope
+            },
+
+            /**
+             * Bring an envelope (or a pre-envelope `{ store, currentIndex }` blob) up to the current `version`.
+             * @returns {object|string} The migrated envelope, or a string describing why it was rejected.
+             */
+            migrate: envelope => {
+                if (!envelope || typeof envelope !== 'object') return 'Snapshot is not an object.'
+                if (envelope.format === undefined && Array.isArray(envelope.store)) {
+                    envelope = {
+                        format: envelopeFormat.name,
+                        formatVersion: envelopeFormat.version,
+                        version: 1,
+                        templateKeys: null,
+                        timestamp: null,
+                        currentIndex: envelope.currentIndex,
+                        store: envelope.store,
+                    }
+                }
+                if (envelope.format !== envelopeFormat.name) return 'Unknown snapshot format (' + envelope.format + ').'
+                if (envelope.formatVersion !== envelopeFormat.version) {
+                    return 'Unsupported snapshot format version (' + envelope.formatVersion + ').'
+                }
+                if (!Number.isInteger(envelope.version) || envelope.version < 1) {
+                    return 'Invalid snapshot version (' + envelope.version + ').'
+                }
+                if (envelope.version > _state.version) {
+                    return 'Snapshot version ' + envelope.version + ' is newer than this instance (' + _state.version + ').'
+                }
+                while (envelope.version < _state.version) {
+                    const from = envelope.version
+                    const migration = _state.migrations[from]
+                    if (!migration) return 'No migration registered from version ' + from + ' to ' + (from + 1) + '.'
+                    try {
+                        envelope = migration(envelope)
+                    } catch (e) {
+                        return 'Migration from version ' + from + ' failed: ' + e.message
+                    }
+                    if (!envelope || !Array.isArray(envelope.store)) {
+                        return 'Migration from version ' + from + ' did not return an envelope with a store.'
+                    }
+                    envelope.version = from + 1
+                    dev.info('Migrated snapshot from version ' + from + ' to ' + envelope.version + '.')
+                }
+                if (!Array.isArray(envelope.store)) return 'Snapshot store must be an Array.'
+                const keys = Object.keys(_state.template)
+                if (Array.isArray(envelope.templateKeys) && keys.length) {
+                    const missing = keys.filter(key => envelope.templateKeys.indexOf(key) < 0)
+                    const unexpected = envelope.templateKeys.filter(key => keys.indexOf(key) < 0)
+                    if (missing.length || unexpected.length) {
+                        return 'Snapshot template keys do not match the template (missing: ' + (missing.join(', ') || 'none')
+                            + '; unexpected: ' + (unexpected.join(', ') || 'none') + '). Register a migration.'
+                    }
+                }
+                return envelope
+            },
+
+            import: (envelope, callback) => {
+                let success = false
+                let migrated
+                try {
+                    migrated = _private.migrate(typeof envelope === 'string' ? serializer.parse(envelope) : deepCopy(envelope))
+                } catch (e) {
+                    migrated = 'Snapshot could not be parsed. ' + (e && e.message ? e.message : e)
+                }
+                if (typeof migrated !== 'string') migrated = _private.commands.check(migrated)
+                if (typeof migrated !== 'string') migrated = _private.scopes.import(migrated)
+                if (typeof migrated === 'string') {
+                    dev.error(new InvalidSnapshotError('Unable to import.\n ' + migrated, { reason: migrated }))
+                } else {
+                    if (_state.immutable && migrated.tree && Array.isArray(migrated.tree.nodes)) {
+                        migrated.tree.nodes.forEach(n => n && deepFreeze(n.state))
+                    }
+                    if (isCommands() && Array.isArray(migrated.commands)) {
+                        _state.history.restore({ store: migrated.store, commands: migrated.commands }, loadMetas(migrated.store, migrated.meta))
+                    } else if (!(isTree() && migrated.tree && _state.history.restore(migrated.tree, restoreMetas))) {
+                        _state.history.load(storedAll(migrated.store), loadMetas(migrated.store, migrated.meta))
+                    }
+                    _private.bookmarks.restore(migrated.bookmarks)
+                    _state.currentIndex = hasIndex(migrated.currentIndex) ? migrated.currentIndex : this.index.last()
+                    _private.evict()
+                    success = migrated
+                }
+                handleCB(callback, success)
+                return success
+            },
+
+            migrations: {
+                add: (version, migration, callback) => {
+                    let success = false
+                    if (Number.isInteger(version) && version > 0 && typeof migration === 'function') {
+                        _state.migrations[version] = migration
+                        success = migration
+                    }
+                    handleCB(callback, success)
+                    return success
+                },
+                remove: (version, callback) => {
+                    let success = false
+                    if (_state.migrations[version]) {
+                        success = _state.migrations[version]
+                        delete _state.migrations[version]
+                    }
+                    handleCB(callback, success)
+                    return success
+                },
+            },
+
+            commands: {
+                add: (type, handlers, callback) => {
+                    let success = false
+                    if (isCommands() && typeof type === 'string' && type && checkCommand(handlers)) {
+                        _state.commands[type] = handlers
+                        success = handlers
+                    }
+                    handleCB(callback, success)
+                    return success
+                },
+                remove: (type, callback) => {
+                    let success = false
+                    if (isCommands() && hasKey(_state.commands, type)) {
+                        success = _state.commands[type]
+                        delete _state.commands[type]
+                    }
+                    handleCB(callback, success)
+                    return success
+                },
+                /** `true` if `command` is a `KDStateManager~Command` with registered handlers. */
+                valid: command => isCommands() && isObject(command) && typeof command.type === 'string' && hasKey(_state.commands, command.type),
+                /**
+                 * Apply a command to the state at `currentIndex` and add it, or merge it into the newest command per the
+                 * coalescing `options`. Commands after `currentIndex` are dropped first.
+                 * @returns {object|boolean} A copy of the new state, `false` if the command is invalid or a handler threw.
+                 */
+                record: (command, options) => {
+                    if (!_private.commands.valid(command)) return false
+                    const handlers = _state.commands[command.type]
+                    const opts = Object.assign({}, _state.coalesce, options)
+                    const last = this.index.last()
+                    const prior = _state.currentIndex === last ? _state.history.command(last) : undefined
+                    const next = { type: command.type, payload: deepCopy(command.payload) }
+                    try {
+                        const payload = prior && prior.type === next.type && handlers.merge && _private.mergeable(null, opts, next)
+                            ? handlers.merge(deepCopy(prior.payload), deepCopy(next.payload))
+                            : undefined
+                        if (payload !== undefined) {
+                            _state.history.merge(next, payload, updatedMeta(_state.history.meta(last), options))
+                            _state.merge.time = Date.now()
+                            _state.merge.merged = true
+                        } else {
+                            _state.history.execute(_state.currentIndex, next, entryMeta(options))
+                            _state.merge = { key: opts.mergeKey, time: Date.now(), merged: false }
+                        }
+                    } catch (e) {
+                        dev.error(new HandlerError('Command "' + next.type + '" failed.\n ' + (e && e.message ? e.message : e), { command: next.type, cause: e }))
+                        return false
+                    }
+                    _state.currentIndex = this.index.last()
+                    _private.evict()
+                    return currentState()
+                },
+                snapshot: (index, callback) => {
+                    const success = isCommands() && hasIndex(index) ? copyOut(_state.history.snapshot(index)) : false
+                    handleCB(callback, success)
+                    return success
+                },
+                /**
+                 * Check the commands of an envelope being imported.
+                 * @returns {object|string} The envelope, or a string describing why it was rejected.
+                 */
+                check: envelope => {
+                    if (envelope.commands === undefined) return envelope
+                    if (!isCommands()) return 'Snapshot holds commands. Import it into an instance with the `commands` param.'
+                    const commands = envelope.commands
+                    if (!Array.isArray(commands) || commands.length !== envelope.store.length) return 'Snapshot commands do not match its store.'
+                    const invalid = commands.findIndex((command, i) => command === null ? envelope.store[i] === null : !_private.commands.valid(command))
+                    if (invalid < 0) return envelope
+                    return commands[invalid] === null || !isObject(commands[invalid])
+                        ? 'Snapshot has neither a state nor a command at index ' + invalid + '.'
+                        : 'Unknown command type (' + commands[invalid].type + ') at index ' + invalid + '.'
+                },
+            },
+
+            scopes: {
+                /**
+                 * Create a child instance and add a template key for it. Recalling a state passes the key's entry id to
+                 * the child, which recalls it unless it is already showing it. A missing or `null` id stands for the
+                 * child's initial state: the entry it was at when added, or no state if it was empty.
+                 * @returns {KDStateManager|boolean} The child, `false` if the name is empty or already a template key.
+                 */
+                add: (name, template, params) => {
+                    if (typeof name !== 'string' || !name || _state.scopes.has(name) || hasKey(_state.definition, name)) return false
+                    const child = new KDStateManager(template, Object.assign({ logger: dev.logger, logLevel: dev.level }, isObject(params) ? params : {}))
+                    const scope = { manager: child, id: child.entries.id(), initial: child.entries.id(), off: [] }
+                    const apply = id => {
+                        const target = id === undefined || id === null ? scope.initial : id
+                        if (target === scope.id) return
+                        scope.id = target
+                        return target === null ? _private.scopes.reset(child) : child.entries.recall(target)
+                    }
+                    if (!_private.template(Object.assign({}, _state.definition, { [name]: apply }), _ => {})) return false
+                    const track = e => {
+                        scope.id = child.entries.id()
+                        if (e.type === 'storeReplaced' && scope.initial !== null && child.entries.indexOf(scope.initial) < 0) scope.initial = null
+                    }
+                    const record = _ => child.entries.id() !== scope.id && _private.scopes.record(name)
+                    scope.off = ['append', 'execute', 'transaction'].map(type => child.on(type, record))
+                        .concat(['indexChanged', 'storeReplaced'].map(type => child.on(type, track)))
+                    _state.scopes.set(name, scope)
+                    return child
+                },
+                remove: name => {
+                    const scope = _state.scopes.get(name)
+                    if (!scope) return false
+                    scope.off.forEach(off => off())
+                    _state.scopes.delete(name)
+                    const definition = Object.assign({}, _state.definition)
+                    delete definition[name]
+                    _private.template(definition, _ => {})
+                    return scope.manager
+                },
+                /**
+                 * Show a child's empty state: run its template functions with each descriptor's `default`, otherwise
+                 * `undefined`. Its history is kept.
+                 * @returns {Promise|undefined} A `Promise` if a template function returned one.
+                 */
+                reset: child => {
+                    const template = child.template()
+                    const results = Object.keys(template).map(key => {
+                        const entry = template[key]
+                        const fn = typeof entry === 'function' ? entry : entry.apply
+                        if (typeof fn === 'function') return fn(hasKey(entry, 'default') ? deepCopy(entry.default) : undefined)
+                    })
+                    if (results.some(isPromise)) return Promise.all(results)
+                },
+                /** The recorded entry id of each child, keyed by scope name. */
+                pointers: _ => Array.from(_state.scopes).reduce((pointers, scope) => {
+                    pointers[scope[0]] = scope[1].id
+                    return pointers
+                }, {}),
+                /**
+                 * Append a state recording that the child `name` moved to a new entry. The first change also appends the
+                 * state before it, so it can be undone.
+                 */
+                record: name => {
+                    if (!_state.history.length()) this.append(Object.assign({}, currentState(), _private.scopes.pointers()), null, { merge: false })
+                    const scope = _state.scopes.get(name)
+                    scope.id = scope.manager.entries.id()
+                    this.append(Object.assign({}, currentState(), _private.scopes.pointers()), null, { merge: false })
+                },
+                /** Snapshots of the children for `export()`, keyed by scope name. */
+                export: _ => Array.from(_state.scopes).reduce((envelopes, scope) => {
+                    envelopes[scope[0]] = scope[1].manager.export()
+                    return envelopes
+                }, {}),
+                /**
+                 * Import the children's snapshots from an envelope. If one fails, the children imported before it are
+                 * restored.
+                 * @returns {object|string} The envelope, or a string describing why it was rejected.
+                 */
+                import: envelope => {
+                    if (!isObject(envelope.scopes)) return envelope
+                    const names = Object.keys(envelope.scopes).filter(name => _state.scopes.has(name))
+                    const children = names.map(name => _state.scopes.get(name).manager)
+                    const saved = children.map(child => child.export())
+                    const failed = children.findIndex((child, i) => {
+                        let result
+                        try {
+                            result = child.import(envelope.scopes[names[i]])
+                        } catch (e) {
+                            result = e
+                        }
+                        return result === false || result instanceof Error
+                    })
+                    if (failed < 0) return envelope
+                    children.slice(0, failed).forEach((child, i) => child.import(saved[i]))
+                    return 'Scope "' + names[failed] + '" could not be imported.'
+                },
+            },
+
+            append: (state, callback, options) => {
+                const checked = _private.validate([state])
+                if (!checked) {
+                    handleCB(callback, false)
+                    return false
+                }
+                const s = checked[0]
+                const opts = Object.assign({}, _state.coalesce, options)
+                if (_private.mergeable(s, opts)) {
+                    const merged = stored(s, this.index.last())
+                    _state.history.set(this.index.last(), merged, updatedMeta(_state.history.meta(this.index.last()), options))
+                    _state.currentIndex = this.index.last()
+                    _state.merge.time = Date.now()
+                    _state.merge.merged = true
+                    const result = _state.immutable ? merged : s
+                    handleCB(callback, result)
+                    return result
+                }
+                _state.merge = { key: opts.mergeKey, time: Date.now(), merged: false }
+                let kept
+                if (isTree() && _state.currentIndex < this.index.last()) {
+                    kept = stored(s, _state.currentIndex)
+                    _state.history.fork(_state.currentIndex, kept, entryMeta(options))
+                } else {
+                    if (_state.appendPolicy === 'truncate' && _state.currentIndex > -1) {
+                        while (this.index.last() > _state.currentIndex) _state.history.remove(this.index.last())
+                    }
+                    kept = stored(s, this.index.last())
+                    _state.history.insert(_state.history.length(), kept, entryMeta(options))
+                }
+                _state.currentIndex = this.index.last()
+                _private.evict()
+                const result = _state.immutable ? kept : s
+                handleCB(callback, result)
+                return result
+            },
+
+            /**
+             * `true` if appending `state` with the coalescing `opts` should replace the newest state. With `command`,
+             * whether the command should merge into the newest one, and `shouldMerge` receives commands instead of states.
+             */
+            mergeable: (state, opts, command) => {
+                const group = _state.merge
+                if (!group || opts.merge === false || _state.currentIndex !== this.index.last() || !hasIndex(_state.currentIndex)) return false
+                if (opts.mergeKey !== group.key) return false
+                const hasWindow = typeof opts.window === 'number' && opts.window > 0
+                const hasPredicate = typeof opts.shouldMerge === 'function'
+                if (!hasWindow && !hasPredicate) return opts.mergeKey !== undefined
+                if (hasWindow && Date.now() - group.time <= opts.window) return true
+                if (!hasPredicate) return false
+                return command
+                    ? !!opts.shouldMerge(deepCopy(_state.history.command(this.index.last())), deepCopy(command))
+                    : !!opts.shouldMerge(copyOut(_state.history.get(this.index.last())), deepCopy(state))
+            },
+
+            closeMerge: callback => {
+                const success = !!_state.merge
+                _state.merge = null
+                handleCB(callback, success)
+                return success
+            },
+
+            recall: (index, callback) => {
+                if (!hasIndex(index)) return recallResult(callback, false)
+                const previous = _state.recall.delta ? currentState() : undefined
+                _state.currentIndex = index
+                return _private.show(copyOut(_state.history.get(index)), previous, callback)
+            },
+
+            /**
+             * Pass the state at `currentIndex` to the template functions. See `recall()`.
+             * @param {object} state - A copy of the state.
+             * @param {object=} previous - The state the template functions reflected before. Used by the `delta` param.
+             * @param {function=} callback - Passed the state, or `false` if a template function failed.
+             * @returns {object|Promise<object>}
+             */
+            show: (state, previous, callback) => {
+                let success = state
+                if (_state.async) {
+                    return _private.apply(success, previous).then(s => {
+                        handleCB(callback, s)
+                        return s
+                    }, e => {
+                        handleCB(callback, false)
+                        throw e
+                    })
+                }
+                const error = callTemplate(success, previous)
+                if (error) {
+                    dev.error(error)
+                    success = false
+                }
+                return recallResult(callback, success)
+            },
+
+            /**
+             * Pass a state to the template functions in async mode. Recalls run one at a time; a recall that is still
+             * waiting when a newer one starts is skipped.
+             * @param {object} state - The state to apply.
+             * @param {object=} previous - The state at `currentIndex` when the recall was called. Used by the `delta` param
+             *                             if no other recall is pending.
+             * @returns {Promise} Resolves with the state once every template function has settled, `null` if a newer
+             *                    recall superseded it. Rejects with an error naming the failed keys in `error.keys`.
+             */
+            apply: (state, previous) => {
+                const recalls = _state.recalls
+                const ticket = ++recalls.latest
+                if (!recalls.pending) recalls.shown = previous
+                recalls.pending++
+                const run = recalls.running.then(_ => {
+                    if (ticket !== recalls.latest) return null
+                    const calls = templateCalls(state, recalls.shown)
+                    recalls.shown = undefined
+                    return Promise.all(calls.map(call => new Promise(resolve => resolve(_state.template[call[0]](call[1])))
+                        .then(_ => null, e => ({ key: call[0], error: e }))))
+                        .then(results => {
+                            const failed = results.filter(r => r)
+                            if (!failed.length) {
+                                recalls.shown = state
+                                return state
+                            }
+                            throw handlerError(failed)
+                        })
+                })
+                const done = _ => recalls.pending--
+                recalls.running = run.then(done, done)
+                return run
+            },
+
+            delete: (index, callback) => {
+                let success = false
+                if (hasIndex(index)) {
+                    success = copyOut(_state.history.remove(index))
+                    if (index < _state.currentIndex || (index === _state.currentIndex && index > 0)) _state.currentIndex--
+                    else if (!hasIndex(_state.currentIndex)) _state.currentIndex = this.index.last()
+                }
+                handleCB(callback, success)
+                return success
+            },
+
+            insert: (index, state, callback, options) => {
+                let success = false
+                const checked = _private.validate([state])
+                const st = checked ? checked[0] : null
+                if (checked && (hasIndex(index) || index === _state.history.length())) {
+                    const kept = stored(st, index > 0 ? index - 1 : index)
+                    _state.history.insert(index, kept, entryMeta(options))
+                    if (index <= _state.currentIndex) _state.currentIndex++
+                    success = _state.immutable ? kept : st
+                } else if (checked && index > -1) {
+                    const kept = stored(st, this.index.last())
+                    _state.history.insert(_state.history.length(), kept, entryMeta(options))
+                    success = _state.immutable ? kept : st
+                }
+                if (success) _private.evict()
+                handleCB(callback, success)
+                return success
+            },
+
+            /**
+             * Remove states until the store fits `maxLength`. `'thin'` first removes, oldest first, the states that are not a
+             * `thinEvery`th one. The state at `currentIndex` and the newest state are never evicted, and `currentIndex`
+             * keeps pointing at the same state.
+             * @returns {array} The evicted `{ index, id, state }` objects, by ascending pre-eviction index.
+             */
+            evict: _ => {
+                const limit = _state.limit
+                const length = _state.history.length()
+                if (!limit.maxLength || length <= limit.maxLength) return []
+                const excess = length - limit.maxLength
+                const keep = i => i === _state.currentIndex || i === length - 1
+                const indices = []
+                if (limit.evict === 'thin') {
+                    for (let i = 1; i < length && indices.length < excess; i++) {
+                        if (i % limit.thinEvery !== 0 && !keep(i)) indices.push(i)
+                    }
+                }
+                for (let i = 0; i < length && indices.length < excess; i++) {
+                    if (indices.indexOf(i) < 0 && !keep(i)) indices.push(i)
+                }
+                indices.sort((a, b) => a - b)
+                const evicted = indices.map(index => ({
+                    index: index,
+                    id: _state.history.meta(index).id,
+                    state: copyOut(_state.history.get(index)),
+                }))
+                indices.slice().reverse().forEach(index => _state.history.remove(index))
+                _state.currentIndex -= indices.filter(index => index < _state.currentIndex).length
+                if (indices.length < excess) {
+                    dev.warn('Unable to evict down to maxLength (' + limit.maxLength + '). The current and newest states are kept.', { length: _state.history.length() })
+                }
+                if (evicted.length) {
+                    dev.info('Evicted ' + evicted.length + ' state' + (evicted.length > 1 ? 's.' : '.'), evicted)
+                    events.emit('evict', { index: _state.currentIndex, evicted: copyOut(evicted) })
+                    if (typeof _state.onEvict === 'function') _state.onEvict(evicted)
+                }
+                return evicted
+            },
+
+            replace: (index, state, callback, options) => {
+                let success = false
+                const checked = hasIndex(index) ? _private.validate([state]) : false
+                if (checked) {
+                    const kept = stored(checked[0], index)
+                    _state.history.set(index, kept, updatedMeta(_state.history.meta(index), options))
+                    success = _state.immutable ? kept : checked[0]
+                }
+                handleCB(callback, success)
+                return success
+            },
+
+            execute: (command, callback, options) => {
+                const previous = _state.recall.delta ? currentState() : undefined
+                const state = _private.commands.record(command, options)
+                return state ? _private.show(state, previous, callback) : recallResult(callback, false)
+            },
+
+            diff: (a, b, callback) => {
+                const success = hasIndex(a) && hasIndex(b) ? changes(copyOut(_state.history.get(a)), copyOut(_state.history.get(b))) : false
+                handleCB(callback, success)
+                return success
+            },
+
+            /**
+             * Recall each index from `from` to `to` in turn, through the middleware and with events, like `this.recall()`.
+             * @param {number} from - The first index recalled.
+             * @param {number} to - The last index recalled. May be before `from` to replay backwards.
+             * @param {object=} options - `delayMs` to wait between steps.
+             * @returns {Promise<object>} Resolves with the state at `to`, `false` if an index is invalid or a recall failed,
+             *                            or `null` if `currentIndex` or the store changed between steps.
+             */
+            replay: (from, to, options) => {
+                if (!hasIndex(from) || !hasIndex(to)) return Promise.resolve(false)
+                const delay = isObject(options) && typeof options.delayMs === 'number' && options.delayMs > 0 ? options.delayMs : 0
+                const step = from <= to ? 1 : -1
+                const length = _state.history.length()
+                const wait = _ => new Promise(resolve => delay ? setTimeout(resolve, delay) : resolve())
+                const run = index => settle(intercept('recall', { index: index }, args => notify('recall', _ => _private.recall(args.index))), state => {
+                    if (state === false || state === undefined || state === null) return state
+                    if (index === to) return state
+                    return wait().then(_ => _state.currentIndex === index && _state.history.length() === length ? run(index + step) : null)
+                })
+                return Promise.resolve(run(from))
+            },
+
+            timeline: callback => {
+                let previous
+                const success = _private.entries.list(_ => {}).map(entry => {
+                    const changed = changes(previous, entry.state).map(change => change.key)
+                    previous = entry.state
+                    delete entry.state
+                    return Object.assign(entry, { current: entry.index === _state.currentIndex, changed: changed })
+                })
+                handleCB(callback, success)
+                return success
+            },
+
+            /** Copy everything a transaction may change. */
+            snapshot: _ => ({
+                history: _state.immutable
+                    ? isTree() ? _state.history.save() : _state.history.all().slice()
+                    : deepCopy(isTree() || isCommands() ? _state.history.save() : _state.history.all()),
+                metas: deepCopy(_state.history.metas()),
+                bookmarks: new Map(_state.bookmarks),
+                currentIndex: _state.currentIndex,
+            }),
+
+            /** Undo everything since `_private.snapshot()`. */
+            rollback: snapshot => {
+                if (isTree()) _state.history.restore(snapshot.history, metas => metas)
+                else if (isCommands()) _state.history.restore(snapshot.history, snapshot.metas)
+                else _state.history.load(snapshot.history, snapshot.metas)
+                _state.bookmarks = snapshot.bookmarks
+                _state.currentIndex = snapshot.currentIndex
+            },
+
+            transaction: (fn, callback) => {
+                let success = false
+                const outer = _state.transaction
+                const tx = outer || { operations: [], failed: false }
+                const snapshot = outer ? null : _private.snapshot()
+                _state.transaction = tx
+                try {
+                    const result = typeof fn === 'function' ? fn(this) : (tx.failed = 'No transaction function.', null)
+                    if (isPromise(result)) tx.failed = tx.failed || 'Transaction functions must be synchronous.'
+                    if (result === false) tx.failed = tx.failed || 'Aborted.'
+                } catch (e) {
+                    tx.failed = tx.failed || 'Threw: ' + (e && e.message ? e.message : e)
+                }
+                _state.transaction = outer
+                if (outer) success = tx.failed ? false : tx.operations
+                else if (tx.failed) {
+                    _private.rollback(snapshot)
+                    dev.error(new TransactionError('Transaction rolled back.\n ' + tx.failed, { reason: tx.failed, cause: tx.cause }))
+                } else success = tx.operations
+                handleCB(callback, success)
+                return success
+            },
+
+            entries: {
+                /** Describe an entry for the public API. */
+                describe: (index, meta, state) => Object.assign({ index: index }, deepCopy(meta), { state: copyOut(state) },
+                    isCommands() ? { command: deepCopy(_state.history.command(index) || null) } : {}),
+                indexOf: id => _state.history.metas().findIndex(meta => meta.id === id),
+                /** The tree node holding the entry with `id`, on any branch. `undefined` outside of tree mode. */
+                node: id => isTree() ? _state.history.find(n => !!n.meta && n.meta.id === id) : undefined,
+                /** Recall the entry with `id`, switching branches in tree mode if needed. */
+                recall: (id, callback) => {
+                    const index = _private.entries.indexOf(id)
+                    if (index > -1) return _private.recall(index, callback)
+                    const n = _private.entries.node(id)
+                    return n ? _private.tree.branch(n.id, callback) : recallResult(callback, false)
+                },
+                list: callback => {
+                    const states = _state.history.all()
+                    const success = _state.history.metas().map((meta, index) => _private.entries.describe(index, meta, states[index]))
+                    handleCB(callback, success)
+                    return success
+                },
+                get: (id, callback) => {
+                    const index = _private.entries.indexOf(id)
+                    const success = index > -1 ? _private.entries.describe(index, _state.history.meta(index), _state.history.get(index)) : false
+                    handleCB(callback, success)
+                    return success
+                },
+                find: (query, callback) => {
+                    const match = typeof query === 'function' ? query
+                        : query instanceof RegExp ? entry => entry.label !== null && entry.label.search(query) > -1
+                        : typeof query === 'string' ? entry => entry.label === query
+                        : null
+                    const success = match ? _private.entries.list(_ => {}).filter(entry => match(entry)) : false
+                    handleCB(callback, success)
+                    return success
+                },
+                update: (id, options, callback) => {
+                    let success = false
+                    const index = _private.entries.indexOf(id)
+                    if (index > -1 && isObject(options)) {
+                        const meta = _state.history.meta(index)
+                        Object.assign(meta, updatedMeta(meta, options), { timestamp: meta.timestamp })
+                        success = _private.entries.describe(index, meta, _state.history.get(index))
+                    }
+                    handleCB(callback, success)
+                    return success
+                },
+            },
+
+            bookmarks: {
+                /** Describe a bookmark for the public API. */
+                describe: (name, id) => ({ name: name, id: id, index: _private.entries.indexOf(id) }),
+                /** `true` if the entry with `id` is stored. */
+                exists: id => _private.entries.indexOf(id) > -1 || !!_private.entries.node(id),
+                set: (name, index, callback) => {
+                    let success = false
+                    if (index === undefined) index = _state.currentIndex
+                    if (typeof name === 'string' && name && hasIndex(index)) {
+                        _state.bookmarks.set(name, _state.history.meta(index).id)
+                        success = _private.bookmarks.describe(name, _state.bookmarks.get(name))
+                    }
+                    handleCB(callback, success)
+                    return success
+                },
+                recall: (name, callback) => _state.bookmarks.has(name)
+                    ? _private.entries.recall(_state.bookmarks.get(name), callback)
+                    : recallResult(callback, false),
+                list: callback => {
+                    const success = Array.from(_state.bookmarks, b => _private.bookmarks.describe(b[0], b[1]))
+                    handleCB(callback, success)
+                    return success
+                },
+                remove: (name, callback) => {
+                    let success = false
+                    if (_state.bookmarks.has(name)) {
+                        success = _private.bookmarks.describe(name, _state.bookmarks.get(name))
+                        _state.bookmarks.delete(name)
+                    }
+                    handleCB(callback, success)
+                    return success
+                },
+                /**
+                 * Remove the bookmarks whose entry is no longer stored.
+                 * @returns {array} The removed `{ name, id }` objects.
+                 */
+                prune: _ => {
+                    const removed = []
+                    _state.bookmarks.forEach((id, name) => {
+                        if (!_private.bookmarks.exists(id)) removed.push({ name: name, id: id })
+                    })
+                    removed.forEach(b => _state.bookmarks.delete(b.name))
+                    return removed
+                },
+                /** Serializable copy of the bookmarks for `export()`. */
+                save: _ => Object.fromEntries(_state.bookmarks),
+                /** Replace the bookmarks with a `save()` copy, dropping any whose entry is not stored. */
+                restore: saved => {
+                    const names = isObject(saved) ? Object.keys(saved) : []
+                    _state.bookmarks = new Map(names.filter(name => name && _private.bookmarks.exists(saved[name])).map(name => [name, saved[name]]))
+                },
+            },
+
+            /**
+             * Operations as plain objects, shared by sync messages and the autosave journal. `append`, `insert`, and
+             * `replace` carry `{ index, state, meta, merged }`, `execute` carries `{ index, command, meta, merged }`,
+             * `delete` carries `{ index }`, `index` carries the entry `id` to move to, and `snapshot` replaces the history.
+             */
+            ops: {
+                types: ['append', 'insert', 'delete', 'replace', 'execute', 'index', 'snapshot'],
+                /**
+                 * Describe a change made by `notify()`.
+                 * @param {string|null} type - The operation.
+                 * @param {object|null} payload - The event payload for the operation.
+                 * @param {number} previousIndex - `currentIndex` before the operation.
+                 * @returns {object|null} The op, `null` if the change is not one. A `snapshot` op has no envelope yet.
+                 */
+                encode: (type, payload, previousIndex) => {
+                    if (type === 'append' || type === 'insert' || type === 'replace') {
+                        return {
+                            type: type,
+                            index: payload.index,
+                            state: payload.state,
+                            meta: deepCopy(_state.history.meta(payload.index)),
+                            merged: !!payload.merged,
+                        }
+                    }
+                    if (type === 'execute') {
+                        return {
+                            type: type,
+                            index: payload.index,
+                            command: payload.command,
+                            meta: deepCopy(_state.history.meta(payload.index)),
+                            merged: !!payload.merged,
+                        }
+                    }
+                    if (type === 'delete') return { type: type, index: payload.index }
+                    if (type === 'storeReplaced' || type === 'transaction') return { type: 'snapshot' }
+                    if ((!type || type === 'recall' || _state.currentIndex !== previousIndex) && hasIndex(_state.currentIndex)) {
+                        return { type: 'index', id: _state.history.meta(_state.currentIndex).id }
+                    }
+                    return null
+                },
+                /**
+                 * Apply an op without emitting events, keeping the metadata it carries.
+                 * @returns {any} The result of the operation, `false` if it failed.
+                 */
+                run: op => {
+                    const s = {
+                        append: _ => op.merged ? _private.replace(this.index.last(), op.state) : _private.append(op.state, null, { merge: false }),
+                        insert: _ => _private.insert(op.index, op.state),
+                        delete: _ => _private.delete(op.index),
+                        replace: _ => _private.replace(op.index, op.state),
+                        execute: _ => {
+                            if (op.merged) _state.currentIndex = this.index.last() - 1
+                            return _private.commands.record(op.command, { merge: false })
+                        },
+                        index: _ => {
+                            const n = _private.entries.indexOf(op.id) < 0 ? _private.entries.node(op.id) : undefined
+                            const index = n ? _state.history.goto(n.id) : _private.entries.indexOf(op.id)
+                            if (index < 0) return false
+                            _state.currentIndex = index
+                            return currentState()
+                        },
+                        snapshot: _ => _private.import(op.envelope),
+                    }[op.type]()
+                    if (s && isObject(op.meta) && hasIndex(op.index)) {
+                        Object.assign(_state.history.meta(op.index), restoreMetas([op.meta])[0])
+                    }
+                    return s
+                },
+            },
+
+            /**
+             * Keeps instances in different tabs, windows, or workers in step over a channel. Each local change is broadcast
+             * as an op naming the head it was made on. Ops that follow the local head are applied in place. Anything else
+             * means changes were missed or made concurrently; the newer head (by revision, then time, then source) wins and
+             * the older side requests a full snapshot from it, discarding its own concurrent changes.
+             */
+            sync: {
+                /** Order two heads. Positive if `a` is newer. */
+                compare: (a, b) => a.revision - b.revision || a.time - b.time || (a.source < b.source ? -1 : a.source > b.source ? 1 : 0),
+                post: message => {
+                    try {
+                        _state.sync.channel.post(Object.assign({
+                            format: envelopeFormat.name,
+                            source: _state.sync.source,
+                            head: _state.sync.head,
+                        }, message))
+                    } catch (e) {
+                        dev.error(new SyncError('Unable to sync.\n ' + (e && e.message ? e.message : e), { cause: e }))
+                    }
+                },
+                connect: (channel, callback) => {
+                    let success = false
+                    if (checkChannel(channel)) {
+                        _private.sync.disconnect()
+                        _state.sync.channel = channel
+                        _state.sync.unsubscribe = channel.subscribe(message => _private.sync.receive(message))
+                        _private.sync.post({ kind: 'hello', check: _private.sync.check() })
+                        dev.info('Sync connected.', { source: _state.sync.source })
+                        success = true
+                    }
+                    handleCB(callback, success)
+                    return success
+                },
+                disconnect: callback => {
+                    const sync = _state.sync
+                    const success = !!sync.channel
+                    if (typeof sync.unsubscribe === 'function') sync.unsubscribe()
+                    sync.channel = null
+                    sync.unsubscribe = null
+                    sync.requested = null
+                    sync.queue = []
+                    handleCB(callback, success)
+                    return success
+                },
+                /**
+                 * Broadcast a local change. Called by `notify()`.
+                 * @param {string|null} type - The operation.
+                 * @param {object|null} payload - The event payload for the operation.
+                 * @param {number} previousIndex - `currentIndex` before the operation.
+                 */
+                broadcast: (type, payload, previousIndex) => {
+                    const sync = _state.sync
+                    const op = _private.ops.encode(type, payload, previousIndex)
+                    if (!op) return
+                    const prev = sync.head
+                    sync.head = { revision: prev.revision + 1, time: Date.now(), source: sync.source }
+                    if (!sync.channel) return
+                    if (op.type === 'snapshot') op.envelope = _private.export()
+                    _private.sync.post({ kind: 'op', prev: prev, op: op, check: _private.sync.check() })
+                },
+                /**
+                 * Summary of the local history compared after applying a remote op and on `hello`. `digest` hashes the
+                 * id, timestamp, and state of every entry, so histories of the same length still differ.
+                 */
+                check: _ => ({
+                    length: _state.history.length(),
+                    index: _state.currentIndex,
+                    id: hasIndex(_state.currentIndex) ? _state.history.meta(_state.currentIndex).id : null,
+                    digest: _private.sync.digest(),
+                }),
+                /** FNV-1a hash of the entries, as a base 36 string. */
+                digest: _ => {
+                    const metas = _state.history.metas().map(meta => [meta.id, meta.timestamp])
+                    const text = serializer.stringify({ meta: metas, store: copyOutAll() })
+                    let hash = 0x811c9dc5
+                    for (let i = 0; i < text.length; i++) hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193)
+                    return (hash >>> 0).toString(36)
+                },
+                receive: message => {
+                    const sync = _state.sync
+                    if (!isObject(message) || message.format !== envelopeFormat.name || message.source === sync.source) return
+                    if (!isObject(message.head) || (message.to && message.to !== sync.source)) return
+                    if (_state.transaction) return sync.queue.push(message)
+                    const newer = _private.sync.compare(message.head, sync.head) > 0
+                    if (message.kind === 'op' && isObject(message.prev) && _private.sync.compare(message.prev, sync.head) === 0) {
+                        _private.sync.apply(message)
+                    } else if (message.kind === 'snapshot') {
+                        if (newer || (sync.requested && _private.sync.compare(message.head, sync.requested) >= 0)) _private.sync.adopt(message)
+                    } else if (message.kind === 'request') {
+                        _private.sync.post({ kind: 'snapshot', to: message.source, envelope: _private.export() })
+                    } else if (message.kind === 'hello' && _private.sync.compare(message.head, sync.head) === 0) {
+                        _private.sync.tie(message)
+                    } else if (newer) {
+                        if (message.kind === 'hello' && _private.sync.differs(message)) sync.conflict = true
+                        if (message.kind === 'op' && sync.head.source === sync.source) sync.conflict = true
+                        _private.sync.request(message)
+                    } else if (message.kind === 'hello' && _private.sync.compare(message.head, sync.head) < 0) {
+                        _private.sync.post({ kind: 'snapshot', to: message.source, envelope: _private.export(), conflict: _private.sync.differs(message) })
+                    }
+                },
+                /** `true` if a `hello` came from a non-empty history with other entries than the local one. */
+                differs: message => isObject(message.check) && message.check.length > 0
+                    && message.check.digest !== _private.sync.digest(),
+                /**
+                 * Resolve a `hello` whose head equals the local one, as when both histories were built before connecting.
+                 * If the entries differ, the greater source wins: it sends a snapshot, or the local side requests one.
+                 */
+                tie: message => {
+                    const sync = _state.sync
+                    if (!isObject(message.check) || message.check.digest === _private.sync.digest()) return
+                    if (message.source > sync.source) {
+                        if (_state.history.length()) sync.conflict = true
+                        return _private.sync.request(message)
+                    }
+                    const prev = sync.head
+                    sync.head = { revision: prev.revision + 1, time: Date.now(), source: sync.source }
+                    _private.sync.post({ kind: 'snapshot', to: message.source, envelope: _private.export(), conflict: message.check.length > 0 })
+                },
+                /** Ask the sender of `message` for a snapshot, unless one at least as new is already pending. */
+                request: message => {
+                    const sync = _state.sync
+                    if (sync.requested && _private.sync.compare(sync.requested, message.head) >= 0) return
+                    sync.requested = message.head
+                    _private.sync.post({ kind: 'request', to: message.source })
+                },
+                /** Apply messages queued during a transaction. */
+                flush: _ => {
+                    const sync = _state.sync
+                    if (_state.transaction || !sync.queue.length) return
+                    const queue = sync.queue
+                    sync.queue = []
+                    queue.forEach(message => _private.sync.receive(message))
+                },
+                /** Apply a remote op that follows the local head. */
+                apply: message => {
+                    const sync = _state.sync
+                    const op = message.op
+                    const previous = currentState()
+                    const type = op.type === 'index' ? 'recall' : op.type === 'snapshot' ? 'storeReplaced' : op.merged && op.type === 'append' ? 'replace' : op.type
+                    const describe = op.type === 'snapshot' ? describeStore
+                        : op.type === 'execute' ? describeCommand
+                        : op.type === 'append' || op.type === 'index' ? undefined
+                        : s => ({ index: op.index, state: copyOut(s) })
+                    sync.applying = true
+                    const success = isObject(op) && _private.ops.types.indexOf(op.type) > -1
+                        ? notify(type, _ => _private.ops.run(op), describe)
+                        : false
+                    sync.applying = false
+                    const check = _private.sync.check()
+                    if (!success || (isObject(message.check) && !deepEqual(check, message.check))) {
+                        return _private.sync.request(message)
+                    }
+                    sync.head = message.head
+                    _private.sync.show(previous, message, false)
+                },
+                /** Replace the local history with a snapshot from another context. */
+                adopt: message => {
+                    const sync = _state.sync
+                    const previous = currentState()
+                    sync.applying = true
+                    const success = notify('storeReplaced', _ => _private.import(message.envelope), describeStore)
+                    sync.applying = false
+                    if (!success) return
+                    const conflict = sync.conflict || message.conflict === true
+                    sync.head = message.head
+                    sync.requested = null
+                    sync.conflict = false
+                    if (conflict) dev.warn('Sync conflict. Local changes were replaced by a snapshot from ' + message.source + '.')
+                    _private.sync.show(previous, { source: message.source, op: { type: 'snapshot' } }, conflict)
+                },
+                /** Run the template functions if the current state changed, then emit `sync`. */
+                show: (previous, message, conflict) => {
+                    const state = currentState()
+                    if (state !== undefined && !deepEqual(state, previous)) {
+                        if (_state.async) {
+                            _private.apply(state, previous).then(null, e => dev.error(e))
+                        } else {
+                            const error = callTemplate(state, previous)
+                            if (error) dev.error(error)
+                        }
+                    }
+                    events.emit('sync', {
+                        index: _state.currentIndex,
+                        state: currentState(),
+                        source: message.source,
+                        op: message.op.type,
+                        conflict: conflict,
+                    })
+                },
+            },
+
+            tree: {
+                /** Describe a node for the public API. */
+                describe: n => ({
+                    id: n.id,
+                    active: _state.history.ids().indexOf(n.id) > -1,
+                    state: copyOut(n.state),
+                }),
+                branches: callback => {
+                    let success = false
+                    if (isTree()) {
+                        const ids = _state.history.ids()
+                        success = _state.history.leaves().map(n => ({
+                            id: n.id,
+                            length: _state.history.depth(n.id),
+                            active: n.id === ids[ids.length - 1],
+                            state: copyOut(n.state),
+                        }))
+                    }
+                    handleCB(callback, success)
+                    return success
+                },
+                branch: (id, callback) => {
+                    const index = isTree() ? _state.history.goto(id) : -1
+                    if (index > -1) return _private.recall(index, callback)
+                    return recallResult(callback, false)
+                },
+                parent: callback => {
+                    if (isTree() && _state.currentIndex > 0) return _private.tree.branch(_state.history.ids()[_state.currentIndex - 1], callback)
+                    return recallResult(callback, false)
+                },
+                children: callback => {
+                    let success = false
+                    if (isTree()) {
+                        const id = _state.currentIndex > -1 ? _state.history.ids()[_state.currentIndex] : 0
+                        success = _state.history.node(id).children.map(n => _private.tree.describe(_state.history.node(n)))
+                    }
+                    handleCB(callback, success)
+                    return success
+                },
+                child: (id, callback) => {
+                    const children = _private.tree.children(_ => {}) || []
+                    if (children.some(n => n.id === id)) return _private.tree.branch(id, callback)
+                    return recallResult(callback, false)
+                },
+                path: callback => {
+                    const success = isTree() ? _state.history.ids().slice(0, _state.currentIndex + 1) : false
+                    handleCB(callback, success)
+                    return success
+                },
+            },
+
+            undo: callback => _state.currentIndex > 0 ? _private.recall((_state.currentIndex - 1), callback) : recallResult(null, false),
+
+            redo: callback => _state.currentIndex < this.index.last() ? _private.recall((_state.currentIndex + 1), callback) : recallResult(null, false),
+
+        }
+
+        _private.evict()
+
+        /** A copy of the state at `currentIndex`, `undefined` if there is none. */
+        const currentState = _ => hasIndex(_state.currentIndex) ? copyOut(_state.history.get(_state.currentIndex)) : undefined
+
+        /**
+         * Run a public operation, then broadcast it to synced contexts unless it came from one, and emit `type` if it
+         * succeeded, `bookmarkRemoved` for each bookmark whose entry is gone, and `indexChanged` if it moved `currentIndex`.
+         * Inside a transaction, records the operation instead and marks the transaction failed if it did not succeed.
+         * If `run` rejects after moving `currentIndex`, the move is handled as with a `null` type before rejecting.
+         * @param {string|null} type - The event type. `null` only emits `indexChanged`.
+         * @param {function} run - Runs the operation. May return a `Promise`.
+         * @param {function=} describe - Maps the result to `{ index, state }`. Defaults to `currentIndex` and the result.
+         * @returns {any} The result of `run`.
+         */
+        const notify = (type, run, describe) => {
+            const previousIndex = _state.currentIndex
+            const remote = _state.sync.applying
+            _state.sync.applying = false
+            const finish = (type, success) => {
+                if (type !== 'append' && type !== 'execute') _state.merge = null
+                const tx = _state.transaction
+                if (tx) {
+                    if (!type || type === 'transaction') return success
+                    if (success === false || success === undefined) tx.failed = tx.failed || '"' + type + '" failed.'
+                    else if (success !== null) {
+                        tx.operations.push(Object.assign({ type: type }, describe ? describe(success) : {
+                            index: _state.currentIndex,
+                            state: copyOut(success),
+                        }))
+                    }
+                    return success
+                }
+                const done = success !== false && success !== undefined && success !== null
+                const payload = type && done ? describe ? describe(success) : { index: _state.currentIndex, state: copyOut(success) } : null
+                if (done && !remote) _private.sync.broadcast(type, payload, previousIndex)
+                if (done) _private.autosave.record(type, payload, previousIndex)
+                if (payload) {
+                    payload.previousIndex = previousIndex
+                    events.emit(type, payload)
+                }
+                _private.bookmarks.prune().forEach(b => events.emit('bookmarkRemoved', b))
+                if (_state.currentIndex !== previousIndex) {
+                    events.emit('indexChanged', { index: _state.currentIndex, state: currentState(), previousIndex: previousIndex })
+                }
+                _private.sync.flush()
+                return success
+            }
+            const result = run()
+            if (!isPromise(result)) return finish(type, result)
+            return result.then(success => finish(type, success), e => {
+                // A rejected async recall has already moved `currentIndex`. Report the move as `index.set()` would.
+                if (_state.currentIndex !== previousIndex) finish(null, currentState())
+                throw e
+            })
+        }
+        /**
+         * Run an operation through the middleware chain. See `this.use()`.
+         * @param {string} op - The operation name passed to each middleware.
+         * @param {object} args - The operation arguments passed to the first middleware. A state is copied first so
+         *                        middleware can change it in place.
+         * @param {function} run - Runs the operation with the final arguments and returns its result.
+         * @returns {any} The result of `run`, or `false` if a middleware vetoed the operation or threw before it ran.
+         *                Middleware return values are ignored.
+         */
+        const intercept = (op, args, run) => {
+            const chain = _state.middleware.slice()
+            if (!chain.length) return run(args)
+            if (isObject(args.state)) args.state = deepCopy(args.state)
+            let ran = false
+            let result
+            const call = (i, args) => {
+                if (i === chain.length) {
+                    if (!ran) {
+                        ran = true
+                        result = run(args)
+                    }
+                    return result
+                }
+                return chain[i](op, args, nextArgs => call(i + 1, isObject(nextArgs) ? nextArgs : args))
+            }
+            let threw = false
+            try {
+                call(0, args)
+            } catch (e) {
+                threw = true
+                dev.error(new HandlerError('A middleware failed during "' + op + '".\n ' + (e && e.message ? e.message : e), { op: op, cause: e }))
+            }
+            if (!ran) {
+                if (!threw) dev.error(new OperationVetoedError('Unable to ' + op + '.\n Vetoed by middleware.', { op: op }), true)
+                if (_state.transaction) _state.transaction.failed = _state.transaction.failed || '"' + op + '" was vetoed.'
+                return false
+            }
+            return result
+        }
+        /**
+         * Deliver the result of a public call to the caller and the callback. A failure is `false`, the reported error with
+         * `errorMode: 'lenient'`, or thrown with `errorMode: 'strict'` after the callback receives it.
+         * @param {any} success - Result of a `_private` call. `false` and `undefined` are failures.
+         * @param {function=} callback - Passed the result.
+         * @returns {any}
+         */
+        const outcome = (success, callback) => {
+            if (success !== false && success !== undefined) {
+                if (typeof callback === 'function') callback(success)
+                return success
+            }
+            const error = dev.lastError
+            const result = _state.errorMode && error ? error : false
+            if (typeof callback === 'function') callback(result)
+            if (_state.errorMode === 'strict' && error) throw error
+            return result
+        }
+        /**
+         * Close a dev group once a result settles and deliver it with `outcome()`. `null` (a superseded async recall) is
+         * not a failure.
+         * @param {any} success - Result of a `_private` call, possibly a `Promise`.
+         * @param {function=} callback - Passed the result.
+         * @param {function} onFail - Reports the error if the call failed without reporting one.
+         * @returns {any} The result. A rejection (a `HandlerError`) is reported and passed on, or resolved with
+         *                `errorMode: 'lenient'`.
+         */
+        const endSettled = (success, callback, onFail) => {
+            if (!isPromise(success)) {
+                dev.end(success, null, onFail)
+                return outcome(success, callback)
+            }
+            const reported = dev.lastError
+            return success.then(s => {
+                if (dev.lastError === reported) dev.lastError = null
+                dev.end(s !== false, null, onFail)
+                return outcome(s, callback)
+            }, e => {
+                dev.lastError = null
+                dev.end(false, null, _ => dev.error(e))
+                if (typeof callback === 'function') callback(_state.errorMode ? e : false)
+                if (_state.errorMode === 'lenient') return e
+                throw e
+            })
+        }
+
+        /** Describe a result that replaced the whole store. */
+        const describeStore = _ => ({ index: _state.currentIndex, state: currentState(), store: copyOutAll() })
+        /** Event payload for `execute`: the state and the command at `currentIndex`. */
+        const describeCommand = s => ({
+            index: _state.currentIndex,
+            state: copyOut(s),
+            command: deepCopy(_state.history.command(_state.currentIndex)),
+            merged: !!_state.merge && _state.merge.merged,
+        })
+
+        /** Object holding functions for getting/setting indices used with `store`, `undo()`, and `redo()`. */
+        this.index = {
+            /**
+             * Set the `currentIndex`.
+             * @param {number} index
+             * @error Fails if the passed `index` does not exist in the `store`.
+             */
+            set: index => {
+                if (hasIndex(index)) return notify(null, _ => _state.currentIndex = index)
+                dev.error(new InvalidIndexError('Unable to set current index.\n Invalid index (' + index + ').', { index: index }))
+                return outcome(false)
+            },
+            /** @returns the `currentIndex`. */
+            current: _ => _state.currentIndex,
+            /** @returns the index for the last element in the `store`. */
+            last: _ => _state.history.length() - 1,
+            /** @returns the index for the first element in the `store`. */
+            first: _ => 0,
+        }
+
+        /**
+         * Get/set the `template`. The template is the set of functions that will be run for each key when a state is recalled.
+         * @param {object=} template - Object containing keyed functions. Keys should match the keys for any state objects 
+         *                             that will be stored, and the values should be functions handling the state values,
+         *                             or `KDStateManager~Descriptor` objects.
+         * @param {function=} callback - The returned template is also passed as a parameter to the callback.
+         * @notes The template object and its descriptors are copied; functions and descriptor defaults are kept.
+         * @returns {object} The newly copied `template`.
+         * @error Fails if the `template` is invalid.
+         * @example
+         * 
+         *      const state = {
+         *          level: 34,
+         *          class: 'warrior',
+         *          stats: [5, 5, 5, 5],
+         *          equip: {
+         *              hands: gloves,
+         *              head: hat,
+         *          },
+         *      }
+         * 
+         *      const template = {
+         *          level: value => handleLevel(value),
+         *          class: value => setClass(value),
+         *          stats: value => stats.forEach(stat => handleStat(stat)),
+         *          equip: value => {
+         *              equip(value.hands)
+         *              equip(value.hat)
          *          },
          *      }
          * 
+         *      stateManager.template(template, t => console.log(t) )
+         *      console.log( stateManager.template() )
+         */
+        this.template = (template, callback) => {
+            if (template) {
+                dev.start('set template:', template)
+                const success = _private.template(template)
+                dev.end(success, null, _ => dev.error(new InvalidTemplateError('Unable to set template.\n Values must be functions or descriptors.', { keys: isObject(template) ? Object.keys(template).filter(key => !checkEntry(template[key])) : [] })))
+                const result = outcome(success, callback)
+                if (result instanceof KDStateManagerError) return result
+            }
+            return Object.assign({}, _state.definition)
+        }
+
+        /**
+         * Get/set the store. The store is the array containing saved states.
+         * @param {array=} store - Array containing saved state objects.
+         * @param {function=} callback - The returned store is also passed as a parameter to the callback.
+         * @notes The value will be stored as a deep copy with no references. With the `diff` param the returned array is
+         *        rebuilt from keyframes and patches, but always holds plain full states.
+         * @returns {array} The newly copied value.
+         * @error Fails if the store parameter is not an array or any state does not pass the template descriptors.
+         * @example
+         *      
+         *      const store = [state1, state2, state3, state4]
+         *      stateManager.store(store, s => console.log(s) )
+         *      console.log( stateManager.store() )
+         */
+        this.store = (store, callback) => {
+            if (store) {
+                dev.start('set store: ', store)
+                const success = notify('storeReplaced', _ => _private.store(store), describeStore)
+                dev.end(success, null, _ => dev.error(new InvalidArgumentError('Unable to set store.\n Must be an Array.')))
+                const result = outcome(success, callback)
+                if (result instanceof KDStateManagerError) return result
+            }
+            return copyOutAll()
+        }
+
+        /** Object holding functions for persisting the instance through the configured storage adapter. */
+        this.storage = {
+            /**
+             * Save the KDStateManager instance's `export()` envelope with the storage adapter.
+             * @param {string} key - The key to store under.
+             * @param {function=} callback - Success is passed to the callback as `true`/`false`.
+             * @notes Returns a `Promise` if the adapter is asynchronous.
+             * @returns {boolean|Promise<boolean>}
+             * @error Fails if the adapter throws or rejects.
+             * @example
+             * 
+             *      stateManager.storage.set('history1', s => console.log(s))
+             *      
+             */
+            set: (key, callback) => {
+                dev.start('storage SET: ', key)
+                return endSettled(_private.storage.set(key), callback, _ => dev.error(new StorageError('Unable to save to storage.', { key: key })))
+            },
+            /**
+             * Get a saved envelope from the storage adapter and `import()` it.
+             * @param {string} key - The target key.
+             * @param {function=} callback - The retrieved object is also passed as a parameter to the callback.
+             * @notes Returns the retrieved object on success, but also automatically updates the instance with the retrieved
+             *        values. Returns a `Promise` if the adapter is asynchronous.
+             * @returns {object|Promise<object>} The retrieved object.
+             * @error Fails if the key is missing or the saved envelope cannot be imported.
+             * @example
+             * 
+             *      stateManager.storage.get('history1', s => console.log(s))
+             *      
+             */
+            get: (key, callback) => {
+                dev.start('storage GET: ', key)
+                return endSettled(notify('storeReplaced', _ => _private.storage.get(key), describeStore), callback, _ => dev.error(new StorageError('Unable to retrieve from storage.\n Key not found (' + key + ').', { key: key })))
+            },
+            /**
+             * Remove a saved key from the storage adapter.
+             * @param {string} key - The target key.
+             * @param {function=} callback - Success is passed to the callback as `true`/`false`.
+             * @notes Returns a `Promise` if the adapter is asynchronous.
+             * @returns {boolean|Promise<boolean>}
+             * @example
+             * 
+             *      stateManager.storage.remove('history1')
+             *      
+             */
+            remove: (key, callback) => {
+                dev.start('storage REMOVE: ', key)
+                return endSettled(_private.storage.remove(key), callback, _ => dev.error(new StorageError('Unable to remove from storage.', { key: key })))
+            },
+            /**
+             * List the keys saved with the storage adapter.
+             * @param {function=} callback - The array of keys is also passed as a parameter to the callback.
+             * @notes Returns a `Promise` if the adapter is asynchronous.
+             * @returns {array|Promise<array>}
+             * @example
+             * 
+             *      stateManager.storage.list(keys => console.log(keys))
+             *      
+             */
+            list: callback => {
+                dev.start('storage LIST')
+                return endSettled(_private.storage.list(), callback, _ => dev.error(new StorageError('Unable to list storage keys.')))
+            },
+            /**
+             * Get/set the storage adapter.
+             * @param {KDStateManager~StorageAdapter=} adapter - Object implementing `set`, `get`, `remove`, and `list`.
+             * @param {function=} callback - The adapter is also passed as a parameter to the callback.
+             * @returns {KDStateManager~StorageAdapter} The current adapter.
+             * @error Fails if the adapter is missing any of the required functions.
+             * @example
+             * 
+             *      stateManager.storage.adapter(KDStateManager.adapters.sessionStorage())
+             *      
+             */
+            adapter: (adapter, callback) => {
+                if (adapter) {
+                    dev.start('set storage adapter:', adapter)
+                    const success = _private.storage.adapter(adapter)
+                    dev.end(success, null, _ => dev.error(new InvalidArgumentError('Unable to set storage adapter.\n Must implement set, get, remove, and list.')))
+                    const result = outcome(success, callback)
+                    if (result instanceof KDStateManagerError) return result
+                }
+                return _state.adapter
+            },
+        }
+
+        /** Thin wrapper over `this.storage` kept for backwards compatibility. */
+        this.localStorage = {
+            /**
+             * Store the KDStateManager instance's `store` and `currentIndex` with the storage adapter.
+             * @param {string} key - The key to store under.
+             * @param {function=} callback - Success is passed to the callback as `true`/`false`.
+             * @returns {boolean|Promise<boolean>}
+             * @example
+             * 
+             *      stateManager.localStorage.set('history1', s => console.log(s))
+             *      
+             */
+            set: (key, callback) => this.storage.set(key, callback),
+            /**
+             * Get a saved KDStateManager `store` and `currentIndex` from the storage adapter.
+             * @param {string} key - The target key.
+             * @param {function=} callback - The returned state is also passed as a parameter to the callback.
+             * @notes Returns the retrieved object on success, but also automatically updates the instance with the retrieved values.
+             * @returns {object|Promise<object>} The retrieved object.
+             * @example
+             * 
+             *      stateManager.localStorage.get('history1', s => console.log(s))
+             *      
+             */
+            get: (key, callback) => this.storage.get(key, callback),
+        }
+
+        /**
+         * Object holding functions for saving the instance automatically with the storage adapter. Every change is written
+         * ahead to a journal under `key + '.journal'` as it is made, and a checkpoint `export()` envelope is written under
+         * `key` once changes settle, which resets the journal. A marker under `key + '.session'` is removed when autosave
+         * stops cleanly, so the next instance to start autosave with the key can tell that the last session crashed and
+         * offer `recoverSession()`.
+         * @notes
+         * - Entry labels, tags, and bookmarks are saved with the next checkpoint.
+         * - In the browser, a checkpoint is written and the session marked stopped on `pagehide`.
+         * - Failed writes, including a full storage, are reported as a `StorageError` with `quota` set when the storage
+         *   is full. A full storage also compacts the journal into a checkpoint.
+         */
+        this.autosave = {
+            /**
+             * Turn autosave on. Also started by the `autosave` param.
+             * @param {KDStateManager~Autosave} options - The `key` to save under, and `throttle` and/or `idle` timing.
+             * @param {function=} callback - The options used are also passed as a parameter to the callback.
+             * @returns {KDStateManager~Autosave} The options used.
+             * @error Fails if `key` is not a non-empty string.
+             * @example
+             * 
+             *      stateManager.autosave.start({ key: 'editor', idle: 500, throttle: 5000 })
+             */
+            start: (options, callback) => {
+                dev.start('start autosave:', options)
+                const success = _private.autosave.start(options)
+                dev.end(success, null, _ => dev.error(new InvalidArgumentError('Unable to start autosave.\n The options need a `key` string.')))
+                return outcome(success, callback)
+            },
+            /**
+             * Write a final checkpoint, mark the session as stopped cleanly, and turn autosave off.
+             * @param {function=} callback - Whether the checkpoint was written is also passed to the callback.
+             * @returns {boolean|Promise<boolean>} A `Promise` if the adapter is asynchronous.
+             * @error Fails if autosave is off or the checkpoint could not be written.
+             */
+            stop: callback => {
+                dev.start('stop autosave')
+                return endSettled(_private.autosave.stop(), callback, _ => dev.error(new InvalidArgumentError('Unable to stop autosave.\n Autosave is off.')))
+            },
+            /**
+             * Write a checkpoint now instead of waiting for the `throttle` or `idle` timer.
+             * @param {function=} callback - Whether the checkpoint was written is also passed to the callback.
+             * @returns {boolean|Promise<boolean>} A `Promise` if the adapter is asynchronous.
+             * @error Fails if autosave is off or the checkpoint could not be written.
+             */
+            flush: callback => {
+                dev.start('flush autosave')
+                return endSettled(_private.autosave.flush(), callback, _ => dev.error(new InvalidArgumentError('Unable to flush autosave.\n Autosave is off.')))
+            },
+            /**
+             * Whether the last session saved under the key did not stop cleanly and can be restored with `recoverSession()`.
+             * @param {function=} callback - The result is also passed to the callback.
+             * @returns {boolean|Promise<boolean>} A `Promise` while an asynchronous adapter is still reading the session.
+             */
+            recoverable: callback => settle(_state.autosave.queue, _ => {
+                const recoverable = !!_state.autosave.recovery
+                if (typeof callback === 'function') callback(recoverable)
+                return recoverable
+            }),
+            /** Forget the session that did not stop cleanly without restoring it. */
+            discard: _ => { _state.autosave.recovery = null },
+            /**
+             * @returns {object} `{ enabled, key, journaled, saved, recoverable }` where `journaled` counts the changes made
+             *                   since the newest checkpoint and `saved` is when it was written, `null` before the first.
+             */
+            status: _ => ({
+                enabled: !!_state.autosave.key,
+                key: _state.autosave.key,
+                journaled: _state.autosave.journal.length,
+                saved: _state.autosave.saved || null,
+                recoverable: !!_state.autosave.recovery,
+            }),
+        }
+
+        /**
+         * Restore the history of an autosaved session that did not stop cleanly: its newest checkpoint, then the journaled
+         * changes made after it. Emits `storeReplaced`, and is written as a new checkpoint. Like `import()`, no template
+         * functions are called; recall the current state to show it.
+         * @param {function=} callback - The recovered store is also passed as a parameter to the callback.
+         * @returns {array|Promise<array>} The recovered store. A `Promise` while an asynchronous adapter is still reading
+         *                                 the session.
+         * @error Fails if there is no session to recover or its checkpoint cannot be imported.
+         * @example
+         * 
+         *      const stateManager = new KDStateManager(template, { autosave: { key: 'editor' } })
+         *      if (stateManager.autosave.recoverable() && confirm('Restore your unsaved work?')) {
+         *          stateManager.recoverSession()
+         *          stateManager.recall(stateManager.index.current())
+         *      } else stateManager.autosave.discard()
+         */
+        this.recoverSession = callback => {
+            dev.start('recover session')
+            const recover = _ => notify('storeReplaced', _ => _private.autosave.recover(), describeStore)
+            return endSettled(settle(_state.autosave.queue, recover), callback, _ => dev.error(new NotFoundError('Unable to recover session.\n No session to recover for key (' + _state.autosave.key + ').', { key: _state.autosave.key })))
+        }
+
+        /**
+         * Create a self-describing snapshot of the instance.
+         * @param {function=} callback - The envelope is also passed as a parameter to the callback.
+         * @notes Template functions are not serialized. The envelope records the template keys and `version` instead so
+         *        `import()` can detect a changed state shape. States keep their `Date`, `Map`, and other values; write the
+         *        envelope with a `KDStateManager~Serializer` rather than `JSON.stringify()` to keep them in the string.
+         * @returns {KDStateManager~Envelope}
+         * @example
+         * 
+         *      const saved = KDStateManager.serializers.json().stringify(stateManager.export())
+         */
+        this.export = callback => {
+            dev.start('export')
+            const success = _private.export()
+            dev.end(success)
+            return outcome(success, callback)
+        }
+
+        /**
+         * Restore the `store` and `currentIndex` from a snapshot created by `export()`. Older snapshots are upgraded one
+         * version at a time with the registered migrations.
+         * @param {KDStateManager~Envelope|string} envelope - The envelope, or a string written by the `serializer`.
+         * @param {function=} callback - The migrated envelope is also passed as a parameter to the callback.
+         * @returns {KDStateManager~Envelope} The migrated envelope.
+         * @error Fails if the envelope is malformed, newer than the instance, missing a migration step, or its template
+         *        keys do not match the template after migrating.
+         * @example
+         * 
+         *      stateManager.import(saved, e => console.log(e.version))
+         */
+        this.import = (envelope, callback) => {
+            dev.start('import:', envelope)
+            const success = notify('storeReplaced', _ => _private.import(envelope), describeStore)
+            dev.end(success)
+            return outcome(success, callback)
+        }
+
+        /** Object holding functions for registering snapshot migrations used by `import()`. */
+        this.migrations = {
+            /**
+             * Register the migration from `version` to `version + 1`.
+             * @param {number} version - The version the migration upgrades from.
+             * @param {function} migration - Receives an envelope and returns the upgraded envelope. The `version` field is
+             *                               updated automatically.
+             * @param {function=} callback - The migration is also passed as a parameter to the callback.
+             * @returns {function} The registered migration.
+             * @error Fails if the version is not a positive integer or the migration is not a function.
+             * @example
+             * 
+             *      stateManager.migrations.add(1, envelope => {
+             *          envelope.store = envelope.store.map(s => ({ ...s, title: s.name }))
+             *          envelope.templateKeys = ['title', 'level']
+             *          return envelope
+             *      })
+             */
+            add: (version, migration, callback) => {
+                dev.start('add migration from version: ' + version)
+                const success = _private.migrations.add(version, migration)
+                dev.end(success, null, _ => dev.error(new InvalidArgumentError('Unable to add migration.\n Invalid version (' + version + ') or migration.', { version: version })))
+                return outcome(success, callback)
+            },
+            /**
+             * Remove the migration from `version`.
+             * @param {number} version - The version the migration upgrades from.
+             * @param {function=} callback - The removed migration is also passed as a parameter to the callback.
+             * @returns {function} The removed migration.
+             * @error Fails if no migration is registered from `version`.
+             */
+            remove: (version, callback) => {
+                dev.start('remove migration from version: ' + version)
+                const success = _private.migrations.remove(version)
+                dev.end(success, null, _ => dev.error(new NotFoundError('Unable to remove migration.\n None registered from version ' + version + '.', { version: version })))
+                return outcome(success, callback)
+            },
+            /** @returns {array} The versions that have a registered migration, in ascending order. */
+            list: _ => Object.keys(_state.migrations).map(Number).sort((a, b) => a - b),
+        }
+
+        if (params.migrations && typeof params.migrations === 'object') {
+            Object.keys(params.migrations).forEach(version => _private.migrations.add(Number(version), params.migrations[version]))
+        }
+
+        /**
+         * Add a state to the end of the store stack.
+         * @param {object} state - A state object should consist of keys that match some if not all keys in the template.
+         * @param {function=} callback - Returns the stored state.
+         * @param {KDStateManager~Coalesce=} options - Coalescing options, merged over the `coalesce` param, and
+         *                                            `KDStateManager~EntryOptions` for the new entry.
+         * @notes The value will be stored as a deep copy with no references. When the append merges into the open merge
+         *        group, it replaces the newest state instead and the `append` event payload has `merged: true`. The merged
+         *        entry keeps its id. Any other operation, and `closeMerge()`, closes the group.
+         * @returns {object} The newly copied and stored state.
+         * @error Fails if the state does not pass the template descriptors.
+         * @example
+         * 
+         *      const state = {
+         *          'name': 'Named',
+         *          'attribute: 'generic',
+         *      }
+         * 
+         *      stateManager.append(state, s => console.log(s) )
+         *      stateManager.append(state, null, { label: 'Level up', tags: ['milestone'] })
+         *      slider.oninput = e => stateManager.append({ volume: e.target.value }, null, { mergeKey: 'volume', window: 500 })
+         */
+        this.append = (state, callback, options) => {
+            dev.start('append:', state)
+            const success = intercept('append', { state: state, options: options }, args => notify('append', _ => _private.append(args.state, null, args.options), s => ({
+                index: this.index.last(),
+                state: copyOut(s),
+                merged: !!_state.merge && _state.merge.merged,
+            })))
+            dev.end(success)
+            return outcome(success, callback)
+        }
+
+        /**
+         * Close the open merge group so the next `append()` adds a new state.
+         * @param {function=} callback - Whether a group was open is also passed to the callback.
+         * @returns {boolean} `true` if a group was open.
+         * @example
+         * 
+         *      slider.onchange = _ => stateManager.closeMerge()
+         */
+        this.closeMerge = callback => _private.closeMerge(callback)
+
+        /**
+         * Recall a stored state at a specific index. Recalling a state will attempt to match keys in the state with keys
+         * in the template. Where matches are found, the state value is passed to the template function. Also updates the
+         * `currentIndex` to the recalled index.
+         * @param {number} index - The desired index to recall.
+         * @param {function=} callback - Returns the recalled state.
+         * @notes The value will be recalled as a deep copy with no references, or as the frozen stored state with the
+         *        `immutable` param. With the `async` param, `currentIndex` updates immediately and the `Promise` resolves
+         *        once every template function has settled. Recalls run one at a time and one still waiting when a newer
+         *        recall starts resolves `null` without running. If a template function throws or rejects, the `Promise`
+         *        rejects with an error naming the key in `error.key`.
+         * @returns {object|Promise<object>} The newly copied and recalled state. A `Promise` with the `async` param.
+         * @error Fails if the index is invalid or, with the `async` param, a template function fails.
+         * @example
+         * 
          *      const template = {
          *          level: value => handleLevel(value),
-         *          class: value => setClass(value),
+         *          title: value => setTitle(value),
          *          stats: value => stats.forEach(stat => handleStat(stat)),
          *          equip: value => {
          *              equip(value.hands)
@@ -383,219 +3481,1474 @@ class KDStateManager {
          *          },
          *      }
          * 
-         *      stateManager.template(template, t => console.log(t) )
-         *      console.log( stateManager.template() )
+         *      stateManager.template(template)
+         *      stateManager.append(state)
+         *      stateManager.append(state)
+         *  
+         *      stateManager.recall(0, s => console.log(s) )
          */
-        this.template = (template, callback) => {
-            if (template) {
-                dev.start('set template:', template)
-                const success = _private.template(template, callback)
-                dev.end(success, null, _ => dev.error('Unable to set template.'))
-            }
-            return deepCopy(_state.template)
+        this.recall = (index, callback) => {
+            dev.start('recall index: ' + index)
+            return endSettled(intercept('recall', { index: index }, args => notify('recall', _ => _private.recall(args.index))), callback, _ => dev.error(new InvalidIndexError('Unable to recall.\n Invalid index (' + index + ').', { index: index })))
         }
 
         /**
-         * Get/set the store. The store is the array containing saved states.
-         * @param {array=} store - Array containing saved state objects.
-         * @param {function=} callback - The returned store is also passed as a parameter to the callback.
+         * Delete a stored state at a specific index. Deleting a state completely deletes the index. Other indices will be
+         * shifted.
+         * @param {number} index - The desired index to delete.
+         * @param {function=} callback - Returns the deleted state.
+         * @returns {object} The deleted state.
+         * @error Fails if the index is invalid.
+         * @example
+         * 
+         *      stateManager.delete(0, s => console.log(s) )
+         */
+        this.delete = (index, callback) => {
+            dev.start('delete index: ' + index)
+            const success = intercept('delete', { index: index }, args => notify('delete', _ => _private.delete(args.index), s => ({ index: args.index, state: copyOut(s) })))
+            dev.end(success, null, _ => dev.error(new InvalidIndexError('Unable to delete.\n Invalid index (' + index + ').', { index: index })))
+            return outcome(success, callback)
+        }
+
+        /**
+         * Insert a state at a specific index. The state will be placed at the requested index and other states will be shifted.
+         * @param {number} index - The index where the state should be inserted.
+         * @param {object} state - The target state object.
+         * @param {function=} callback - Returns the inserted state.
+         * @param {KDStateManager~EntryOptions=} options - Label and tags for the new entry.
          * @notes The value will be stored as a deep copy with no references.
-         * @returns {array} The newly copied value.
-         * @error Fails if the store parameter is not an array.
+         * @returns {object} The newly copied and inserted state.
+         * @error Fails if the index or the state is invalid.
+         * @example
+         * 
+         *      stateManager.insert(1, state, s => console.log(s) )
+         */
+        this.insert = (index, state, callback, options) => {
+            dev.start('insert at index: ' + index)
+            const success = intercept('insert', { index: index, state: state, options: options }, args => notify('insert', _ => _private.insert(args.index, args.state, null, args.options), s => ({
+                index: Math.min(args.index, this.index.last()),
+                state: copyOut(s),
+            })))
+            dev.end(success, null, _ => dev.error(new InvalidIndexError('Unable to insert at index ' + index + '.\n Invalid index (' + index + ').', { index: index })))
+            return outcome(success, callback)
+        }
+
+        /**
+         * Replace a state at a specific index. The existing state is overwritten in place; other indices and `currentIndex`
+         * are unchanged.
+         * @param {number} index - The index where the replacement should occur.
+         * @param {object} state - The new state object.
+         * @param {function=} callback - Returns the newly inserted state.
+         * @param {KDStateManager~EntryOptions=} options - New label and tags. The entry keeps its id, and its label and
+         *                                                tags unless new ones are given.
+         * @notes The value will be stored as a deep copy with no references.
+         * @returns {object} The newly copied and inserted state.
+         * @error Fails if the index or the state is invalid. The existing state is kept if the new state is invalid.
+         * @example
+         * 
+         *      stateManager.replace(1, state, s => console.log(s) )
+         */
+        this.replace = (index, state, callback, options) => {
+            dev.start('replace state at index: ' + index)
+            const success = intercept('replace', { index: index, state: state, options: options }, args => notify('replace', _ => _private.replace(args.index, args.state, null, args.options), s => ({ index: args.index, state: copyOut(s) })))
+            dev.end(success, null, _ => dev.error(new InvalidIndexError('Unable to replace at index ' + index + '.\n Invalid index (' + index + ').', { index: index })))
+            return outcome(success, callback)
+        }
+
+        /** 
+         * Recall the state at the index one before `currentIndex`.
+         * @param {function=} callback - Returns the recalled state.
+         * @notes The value will be recalled as a deep copy with no references. In command mode the state is rebuilt by
+         *        running `revert` for the command at `currentIndex`.
+         * @returns {object|Promise<object>} The newly copied and recalled state. A `Promise` with the `async` param.
+         * @error Fails if the index is invalid.
          * @example
          *      
-         *      const store = [state1, state2, state3, state4]
-         *      stateManager.store(store, s => console.log(s) )
-         *      console.log( stateManager.store() )
+         *      stateManager.append(prevState)
+         *      stateManager.append(state)
+         *      stateManager.undo(s => console.log( s == prevState ))
          */
-        this.store = (store, callback) => {
-            if (store) {
-                dev.start('set store: ', store)
-                const success = _private.store(store, callback)
-                dev.end(success, null, _ => dev.error('Unable to set store.\n Must be an Array.'))
+        this.undo = callback => {
+            dev.start('undo to index: ' + (this.index.current() - 1) + ' out of ' + this.index.last())
+            const index = _state.currentIndex - 1
+            return endSettled(intercept('undo', {}, _ => notify('undo', _ => _private.undo())), callback, _ => dev.error(new InvalidIndexError('Unable to undo.\n Invalid index (' + index + ').', { index: index })))
+        }
+
+        /** 
+         * Recall the state at the index one after `currentIndex`.
+         * @param {function=} callback - Returns the recalled state.
+         * @notes The value will be recalled as a deep copy with no references. In command mode the state is rebuilt by
+         *        running `apply` for the next command.
+         * @returns {object|Promise<object>} The newly copied and recalled state. A `Promise` with the `async` param.
+         * @error Fails if the index is invalid.
+         * @example
+         *      
+         *      stateManager.append(prevState)
+         *      stateManager.append(state)
+         *      stateManager.undo(s => console.log( s == prevState ))
+         *      stateManager.redo(s => console.log( s == state ))
+         */
+        this.redo = callback => {
+            dev.start('redo to index: ' + (this.index.current() + 1) + ' out of ' + this.index.last())
+            const index = _state.currentIndex + 1
+            return endSettled(intercept('redo', {}, _ => notify('redo', _ => _private.redo())), callback, _ => dev.error(new InvalidIndexError('Unable to redo.\n Invalid index (' + index + ').', { index: index })))
+        }
+
+        /**
+         * Run a command in command mode: apply it to the state at `currentIndex`, add it after that index, and pass the
+         * new state to the template functions like `recall()`. See the `commands` param.
+         * @param {KDStateManager~Command} command - `{ type, payload }` with a registered `type`.
+         * @param {function=} callback - Returns the new state.
+         * @param {KDStateManager~Coalesce=} options - Coalescing options, merged over the `coalesce` param, and `label` and
+         *                                             `tags` for the entry. `shouldMerge` receives the previous and new
+         *                                             commands.
+         * @notes Commands after `currentIndex` are dropped first, since they no longer follow the state. A command merges
+         *        into the newest one if the coalescing options allow it, both have the same `type`, and its handlers have a
+         *        `merge` function that does not return `undefined`. States produced by commands are not checked against
+         *        template descriptors.
+         * @returns {object|Promise<object>} A copy of the new state. A `Promise` with the `async` param.
+         * @error Fails outside of command mode, if the type is not registered, or if `apply` or `merge` throws.
+         * @example
+         * 
+         *      stateManager.execute({ type: 'insertText', payload: { at: 4, text: 'a' } }, null, { mergeKey: 'typing', window: 1000 })
+         */
+        this.execute = (command, callback, options) => {
+            dev.start('execute:', command)
+            const type = isObject(command) ? command.type : undefined
+            return endSettled(intercept('execute', { command: command, options: options }, args => notify('execute', _ => _private.execute(args.command, null, args.options), describeCommand)),
+                callback, _ => dev.error(new InvalidArgumentError('Unable to execute.\n ' + (isCommands() ? 'Unknown command type (' + type + ').' : 'Command mode requires the `commands` param.'), { type: type })))
+        }
+
+        /** Object holding functions for managing command handlers in command mode. See the `commands` param. */
+        this.commands = {
+            /**
+             * Register the handlers for a command type, replacing any registered for it.
+             * @param {string} type - The command type.
+             * @param {KDStateManager~CommandHandlers} handlers - `apply`, `revert`, and optionally `merge`.
+             * @param {function=} callback - The handlers are also passed as a parameter to the callback.
+             * @returns {KDStateManager~CommandHandlers}
+             * @error Fails outside of command mode, or if the type is empty or the handlers lack `apply` or `revert`.
+             * @example
+             * 
+             *      stateManager.commands.add('rename', {
+             *          apply: (state, payload) => { state.name = payload.to },
+             *          revert: (state, payload) => { state.name = payload.from },
+             *      })
+             */
+            add: (type, handlers, callback) => {
+                dev.start('add command: ' + type)
+                const success = _private.commands.add(type, handlers)
+                dev.end(success, null, _ => dev.error(new InvalidArgumentError('Unable to add command.\n ' + (isCommands()
+                    ? 'Invalid type (' + type + ') or handlers.'
+                    : 'Command mode requires the `commands` param.'), { type: type })))
+                return outcome(success, callback)
+            },
+            /**
+             * Remove the handlers for a command type. Stored commands of the type can no longer be undone or redone.
+             * @param {string} type - The command type.
+             * @param {function=} callback - The removed handlers are also passed as a parameter to the callback.
+             * @returns {KDStateManager~CommandHandlers} The removed handlers.
+             * @error Fails if no handlers are registered for `type`.
+             */
+            remove: (type, callback) => {
+                dev.start('remove command: ' + type)
+                const success = _private.commands.remove(type)
+                dev.end(success, null, _ => dev.error(new NotFoundError('Unable to remove command.\n None registered for type (' + type + ').', { type: type })))
+                return outcome(success, callback)
+            },
+            /** @returns {array} The registered command types. Empty outside of command mode. */
+            list: _ => isCommands() ? Object.keys(_state.commands) : [],
+            /**
+             * Keep the full state at an index, so recalls near it and persistence start from it instead of replaying the
+             * commands before it. The command stays, so the state can still be undone.
+             * @param {number=} index - Defaults to `currentIndex`.
+             * @param {function=} callback - The state is also passed as a parameter to the callback.
+             * @returns {object} A copy of the state at `index`.
+             * @error Fails outside of command mode or if the index is invalid.
+             * @example
+             * 
+             *      stateManager.on('execute', e => e.index % 50 === 0 && stateManager.commands.snapshot(e.index))
+             */
+            snapshot: (index, callback) => {
+                if (index === undefined) index = _state.currentIndex
+                dev.start('snapshot at index: ' + index)
+                const success = _private.commands.snapshot(index)
+                dev.end(success, null, _ => dev.error(new InvalidIndexError('Unable to take a snapshot.\n ' + (isCommands()
+                    ? 'Invalid index (' + index + ').'
+                    : 'Command mode requires the `commands` param.'), { index: index })))
+                return outcome(success, callback)
+            },
+        }
+
+        /**
+         * Object holding functions for composing child instances under this one. Each scope is a full instance with its
+         * own template and store, held under a template key of this instance. When a child appends, executes, or commits
+         * a transaction, this instance appends a state holding the entry id of every child, so its history interleaves
+         * the changes of all scopes: undoing or redoing here recalls the affected child to its recorded entry,
+         * or back to its initial state before its first change.
+         * `export()` and `import()` include the children, keyed by scope name under `scopes`.
+         * @notes
+         * - Undoing in a child directly moves only that child. Changes made afterwards truncate the child's redo entries,
+         *   so states here that point to them can no longer be recalled.
+         * - A transaction here does not roll back the children. Sync each child separately.
+         */
+        this.scopes = {
+            /**
+             * Create a child instance under a template key.
+             * @param {string} name - The scope name, used as the template key.
+             * @param {object} template - The template of the child. See the constructor.
+             * @param {KDStateManager~Params=} params - The params of the child. `logger` and `logLevel` default to this
+             *                                          instance's.
+             * @param {function=} callback - The child is also passed as a parameter to the callback.
+             * @returns {KDStateManager} The child.
+             * @error Fails if the name is empty or already a template key, or the template is invalid.
+             * @example
+             * 
+             *      const editor = stateManager.scopes.add('editor', { text: t => textarea.value = t })
+             *      const panel = stateManager.scopes.add('panel', { open: o => panel.hidden = !o })
+             *      editor.append({ text: 'draft' })
+             *      panel.append({ open: true })
+             *      editor.append({ text: 'final' })
+             *      stateManager.undo() // recalls 'draft' in the editor, the panel stays open
+             */
+            add: (name, template, params, callback) => {
+                dev.start('add scope: ' + name)
+                const success = _private.scopes.add(name, template, params)
+                dev.end(success, null, _ => dev.error(new InvalidArgumentError('Unable to add scope.\n Invalid name (' + name + ') or template.', { name: name })))
+                return outcome(success, callback)
+            },
+            /**
+             * @param {string} name - The scope name.
+             * @param {function=} callback - The child is also passed as a parameter to the callback.
+             * @returns {KDStateManager} The child.
+             * @error Fails if there is no scope with the name.
+             */
+            get: (name, callback) => {
+                dev.start('get scope: ' + name)
+                const success = _state.scopes.has(name) ? _state.scopes.get(name).manager : false
+                dev.end(success, null, _ => dev.error(new NotFoundError('Unable to get scope.\n Unknown scope (' + name + ').', { name: name })))
+                return outcome(success, callback)
+            },
+            /**
+             * Detach a child and remove its template key. The child keeps working on its own; states here still hold its
+             * entry ids.
+             * @param {string} name - The scope name.
+             * @param {function=} callback - The child is also passed as a parameter to the callback.
+             * @returns {KDStateManager} The removed child.
+             * @error Fails if there is no scope with the name.
+             */
+            remove: (name, callback) => {
+                dev.start('remove scope: ' + name)
+                const success = _private.scopes.remove(name)
+                dev.end(success, null, _ => dev.error(new NotFoundError('Unable to remove scope.\n Unknown scope (' + name + ').', { name: name })))
+                return outcome(success, callback)
+            },
+            /** @returns {array} The scope names. */
+            list: _ => Array.from(_state.scopes.keys()),
+        }
+
+        /**
+         * Subscribe to an event. Listeners receive a payload `{ type, index, state, previousIndex }` where `index` is the
+         * affected index, `state` a copy of the affected state, and `previousIndex` the `currentIndex` before the operation.
+         * @param {string} type - One of `append`, `insert`, `delete`, `replace`, `execute`, `recall`, `undo`, `redo`,
+         *                        `storeReplaced`, `indexChanged`, `evict`, `transaction`, `bookmarkRemoved`, `sync`, or
+         *                        `error`.
+         * @param {function} listener - Receives the payload.
+         * @notes `undo` and `redo` emit their own event rather than `recall`. `storeReplaced` (from `store()`, `import()`, and
+         *        `storage.get()`) also carries the new `store`, `execute` carries the `command` and whether it `merged`,
+         *        `evict` carries the `evicted` states, and `error` carries the `error`. `bookmarkRemoved` carries only the `name` and `id` of a bookmark whose state was deleted. `sync`
+         *        carries the `source` and `op` of a remote change and whether it was a `conflict`. Any operation that
+         *        moves `currentIndex` also emits `indexChanged`.
+         * @returns {function} Call to unsubscribe.
+         * @error Fails if the type is unknown or the listener is not a function.
+         * @example
+         * 
+         *      const off = stateManager.on('indexChanged', e => {
+         *          undoButton.disabled = e.index < 1
+         *          redoButton.disabled = e.index >= stateManager.index.last()
+         *      })
+         */
+        this.on = (type, listener) => {
+            const success = events.on(type, listener)
+            if (!success) dev.error(new InvalidArgumentError('Unable to subscribe.\n Invalid event type (' + type + ') or listener.', { type: type }))
+            return outcome(success)
+        }
+
+        /**
+         * Subscribe to the next occurrence of an event only. See `on()`.
+         * @param {string} type - The event type.
+         * @param {function} listener - Receives the payload.
+         * @returns {function} Call to unsubscribe before the event occurs.
+         * @error Fails if the type is unknown or the listener is not a function.
+         */
+        this.once = (type, listener) => {
+            const success = events.on(type, listener, true)
+            if (!success) dev.error(new InvalidArgumentError('Unable to subscribe.\n Invalid event type (' + type + ') or listener.', { type: type }))
+            return outcome(success)
+        }
+
+        /**
+         * Unsubscribe from events.
+         * @param {string=} type - The event type. Omit to remove every listener.
+         * @param {function=} listener - The listener passed to `on()`/`once()`. Omit to remove every listener for `type`.
+         * @returns {boolean}
+         */
+        this.off = (type, listener) => events.off(type, listener)
+
+        /**
+         * Register a middleware that runs around `append`, `recall`, `delete`, `insert`, `replace`, `undo`, and `redo`.
+         * Middleware run in the order they were registered, each wrapping the ones registered after it.
+         * @param {function} middleware - Receives `(op, args, next)`. `op` is the operation name and `args` its arguments:
+         *                                `{ state, options }` for `append`, `{ index }` for `recall` and `delete`,
+         *                                `{ index, state, options }` for `insert` and `replace`, and `{}` for `undo` and
+         *                                `redo`. Call `next()` to continue, optionally with new `args`, and it returns the
+         *                                result of the operation. Return without calling `next()` to veto the operation.
+         * @notes Middleware must be synchronous. With the `async` param `next()` returns the `Promise` of a recall.
+         *        `entries.delete()` and `entries.replace()` run as `delete` and `replace` with the entry's index. The state
+         *        in `args` is a copy, so it can be changed in place. Return values are ignored: the caller always gets the
+         *        operation's own result, or a failure if it was vetoed.
+         * @returns {function} Call to remove the middleware.
+         * @error Fails if the middleware is not a function. A vetoed operation fails with `OPERATION_VETOED`, and a
+         *        middleware that throws is reported with `HANDLER_FAILURE`.
+         * @example
+         * 
+         *      stateManager.use((op, args, next) => {
+         *          if (op === 'delete' && !user.canDelete) return
+         *          if (args.state) delete args.state.password
+         *          const result = next()
+         *          analytics.track(op, args.index)
+         *          return result
+         *      })
+         */
+        this.use = middleware => {
+            if (typeof middleware !== 'function') {
+                dev.error(new InvalidArgumentError('Unable to add middleware.\n Must be a function.'))
+                return outcome(false)
+            }
+            _state.middleware.push(middleware)
+            return _ => {
+                _state.middleware = _state.middleware.filter(m => m !== middleware)
+                return true
             }
-            return deepCopy(_state.store)
         }
 
-        this.localStorage = {
+        /**
+         * Apply a group of mutations atomically. `fn` receives the instance and calls its methods as usual. If any of them
+         * fails, `fn` throws, or `fn` returns `false`, the `store` and `currentIndex` are rolled back.
+         * @param {function} fn - Receives the instance. Must be synchronous.
+         * @param {function=} callback - The operations are also passed as a parameter to the callback, `false` on rollback.
+         * @notes The operations inside the transaction do not emit events. On commit a single `transaction` event is emitted
+         *        with the `operations`, followed by `indexChanged` if `currentIndex` moved. Nested transactions join the
+         *        outer one. Per-call callbacks still run for each operation.
+         * @returns {array} Objects `{ type, index, state }` for each operation, or `false` if rolled back.
+         * @error Fails if any operation fails, `fn` throws, returns `false`, or returns a `Promise`.
+         * @example
+         * 
+         *      stateManager.transaction(sm => {
+         *          sm.delete(2)
+         *          sm.insert(0, state)
+         *      })
+         */
+        this.transaction = (fn, callback) => {
+            dev.start('transaction')
+            const success = notify('transaction', _ => _private.transaction(fn), ops => ({
+                index: _state.currentIndex,
+                state: currentState(),
+                operations: ops,
+            }))
+            dev.end(success)
+            return outcome(success, callback)
+        }
+
+        /** Alias for `transaction()`. */
+        this.batch = (fn, callback) => this.transaction(fn, callback)
+
+        /**
+         * Bookmark a stored state by name. The bookmark follows the state when other indices shift and when the state is
+         * replaced. Bookmarking a name again moves it.
+         * @param {string} name - The bookmark name.
+         * @param {number=} index - The index to bookmark. Defaults to `currentIndex`.
+         * @param {function=} callback - The bookmark is also passed as a parameter to the callback.
+         * @notes Bookmarks are included in `export()` and restored by `import()`. If the bookmarked state is deleted or
+         *        evicted, the bookmark is removed and a `bookmarkRemoved` event is emitted with its `name` and `id`.
+         * @returns {object} The bookmark `{ name, id, index }`. `id` is the entry id, see `entries`.
+         * @error Fails if the name is not a non-empty string or the index is invalid.
+         * @example
+         * 
+         *      stateManager.bookmark('before import')
+         *      stateManager.import(saved)
+         *      stateManager.recallBookmark('before import')
+         */
+        this.bookmark = (name, index, callback) => {
+            dev.start('bookmark: ' + name, index)
+            const success = _private.bookmarks.set(name, index)
+            dev.end(success, null, _ => dev.error(new InvalidArgumentError('Unable to bookmark.\n Invalid name (' + name + ') or index (' + index + ').', { name: name, index: index })))
+            return outcome(success, callback)
+        }
+
+        /**
+         * Recall a bookmarked state. See `recall()`. In tree mode, switches to the branch holding the state if needed.
+         * @param {string} name - The bookmark name.
+         * @param {function=} callback - Returns the recalled state.
+         * @returns {object|Promise<object>} The newly copied and recalled state. A `Promise` with the `async` param.
+         * @error Fails if there is no bookmark with the name or, with the `async` param, a template function fails.
+         */
+        this.recallBookmark = (name, callback) => {
+            dev.start('recall bookmark: ' + name)
+            return endSettled(notify('recall', _ => _private.bookmarks.recall(name)), callback, _ => dev.error(new NotFoundError('Unable to recall bookmark.\n Unknown bookmark (' + name + ').', { name: name })))
+        }
+
+        /**
+         * List the bookmarks.
+         * @param {function=} callback - The array of bookmarks is also passed as a parameter to the callback.
+         * @returns {array} `{ name, id, index }` objects in the order they were added. In tree mode `index` is `-1` for a
+         *                  state on another branch.
+         */
+        this.bookmarks = callback => _private.bookmarks.list(callback)
+
+        /**
+         * Remove a bookmark. The bookmarked state is kept.
+         * @param {string} name - The bookmark name.
+         * @param {function=} callback - The removed bookmark is also passed as a parameter to the callback.
+         * @returns {object} The removed bookmark `{ name, id, index }`.
+         * @error Fails if there is no bookmark with the name.
+         */
+        this.removeBookmark = (name, callback) => {
+            dev.start('remove bookmark: ' + name)
+            const success = _private.bookmarks.remove(name)
+            dev.end(success, null, _ => dev.error(new NotFoundError('Unable to remove bookmark.\n Unknown bookmark (' + name + ').', { name: name })))
+            return outcome(success, callback)
+        }
+
+        /**
+         * Object holding functions for working with entries by id. Every stored state carries `{ id, label, timestamp, tags }`
+         * metadata; the id stays the same when other indices shift. In tree mode `list()`, `get()`, `indexOf()`, and `find()`
+         * only see the active branch.
+         */
+        this.entries = {
+            /**
+             * List every stored state with its metadata.
+             * @param {function=} callback - The array of entries is also passed as a parameter to the callback.
+             * @returns {array} `KDStateManager~Entry` objects in index order.
+             * @example
+             * 
+             *      stateManager.entries.list().forEach(e => addHistoryRow(e.id, e.label || 'State ' + e.index))
+             */
+            list: callback => _private.entries.list(callback),
+            /**
+             * Get the entry with an id.
+             * @param {number} id - The entry id.
+             * @param {function=} callback - The entry is also passed as a parameter to the callback.
+             * @returns {KDStateManager~Entry}
+             * @error Fails if no entry has the id.
+             */
+            get: (id, callback) => {
+                dev.start('get entry: ' + id)
+                const success = _private.entries.get(id)
+                dev.end(success, null, _ => dev.error(new NotFoundError('Unable to get entry.\n Unknown entry id (' + id + ').', { id: id })))
+                return outcome(success, callback)
+            },
+            /**
+             * @param {number} id - The entry id.
+             * @returns {number} The current index of the entry, `-1` if no entry has the id.
+             */
+            indexOf: id => _private.entries.indexOf(id),
+            /**
+             * @param {number=} index - Defaults to `currentIndex`.
+             * @returns {number|null} The id of the entry at `index`, `null` if there is none.
+             */
+            id: index => {
+                if (index === undefined) index = _state.currentIndex
+                return hasIndex(index) ? _state.history.meta(index).id : null
+            },
+            /**
+             * Find entries by label or predicate.
+             * @param {string|RegExp|function} query - A label to match exactly, a `RegExp` tested against labels, or a
+             *                                         function receiving each `KDStateManager~Entry` and returning `true`
+             *                                         to include it.
+             * @param {function=} callback - The array of entries is also passed as a parameter to the callback.
+             * @returns {array} The matching `KDStateManager~Entry` objects in index order.
+             * @error Fails if the query is not a string, `RegExp`, or function.
+             * @example
+             * 
+             *      stateManager.entries.find(/^Checkpoint/)
+             *      stateManager.entries.find(e => e.tags.indexOf('milestone') > -1)
+             */
+            find: (query, callback) => {
+                dev.start('find entries:', query)
+                const success = _private.entries.find(query)
+                dev.end(success, null, _ => dev.error(new InvalidArgumentError('Unable to find entries.\n Query must be a label, RegExp, or function.')))
+                return outcome(success, callback)
+            },
+            /**
+             * Change the label or tags of an entry without changing its state or timestamp.
+             * @param {number} id - The entry id.
+             * @param {KDStateManager~EntryOptions} options - The new `label` and/or `tags`.
+             * @param {function=} callback - The updated entry is also passed as a parameter to the callback.
+             * @returns {KDStateManager~Entry}
+             * @error Fails if no entry has the id.
+             * @example
+             * 
+             *      stateManager.entries.update(id, { label: 'Before cleanup' })
+             */
+            update: (id, options, callback) => {
+                dev.start('update entry: ' + id, options)
+                const success = _private.entries.update(id, options)
+                dev.end(success, null, _ => dev.error(new NotFoundError('Unable to update entry.\n Unknown entry id (' + id + ') or invalid options.', { id: id })))
+                return outcome(success, callback)
+            },
+            /**
+             * Recall the entry with an id. See `recall()`. In tree mode, switches to the branch holding the entry if needed.
+             * @param {number} id - The entry id.
+             * @param {function=} callback - Returns the recalled state.
+             * @returns {object|Promise<object>} The newly copied and recalled state. A `Promise` with the `async` param.
+             * @error Fails if no entry has the id or, with the `async` param, a template function fails.
+             */
+            recall: (id, callback) => {
+                dev.start('recall entry: ' + id)
+                return endSettled(notify('recall', _ => _private.entries.recall(id)), callback, _ => dev.error(new NotFoundError('Unable to recall.\n Unknown entry id (' + id + ').', { id: id })))
+            },
+            /**
+             * Delete the entry with an id. See `delete()`.
+             * @param {number} id - The entry id.
+             * @param {function=} callback - Returns the deleted state.
+             * @returns {object} The deleted state.
+             * @error Fails if no entry has the id.
+             */
+            delete: (id, callback) => {
+                dev.start('delete entry: ' + id)
+                const success = intercept('delete', { index: _private.entries.indexOf(id) }, args => notify('delete', _ => _private.delete(args.index), s => ({ index: args.index, state: copyOut(s) })))
+                dev.end(success, null, _ => dev.error(new NotFoundError('Unable to delete.\n Unknown entry id (' + id + ').', { id: id })))
+                return outcome(success, callback)
+            },
+            /**
+             * Replace the state of the entry with an id. See `replace()`.
+             * @param {number} id - The entry id.
+             * @param {object} state - The new state object.
+             * @param {function=} callback - Returns the newly inserted state.
+             * @param {KDStateManager~EntryOptions=} options - New label and tags.
+             * @returns {object} The newly copied and inserted state.
+             * @error Fails if no entry has the id or the state is invalid.
+             */
+            replace: (id, state, callback, options) => {
+                dev.start('replace entry: ' + id)
+                const success = intercept('replace', { index: _private.entries.indexOf(id), state: state, options: options }, args => notify('replace', _ => _private.replace(args.index, args.state, null, args.options), s => ({ index: args.index, state: copyOut(s) })))
+                dev.end(success, null, _ => dev.error(new NotFoundError('Unable to replace.\n Unknown entry id (' + id + ').', { id: id })))
+                return outcome(success, callback)
+            },
+        }
+
+        /**
+         * Compare the states at two indices key by key. Does not change `currentIndex`.
+         * @param {number} a - Index of the earlier state.
+         * @param {number} b - Index of the later state.
+         * @param {function=} callback - The changes are also passed as a parameter to the callback.
+         * @returns {array} A `KDStateManager~Change` for each key that differs: the keys of state `a` in order, then the
+         *                  keys only in state `b`. Empty if the states are equal.
+         * @error Fails if either index is invalid.
+         * @example
+         * 
+         *      stateManager.diff(12, 40).forEach(c => console.log(c.type, c.key, c.before, '->', c.after))
+         *      assert.deepEqual(stateManager.diff(0, 1).map(c => c.key), ['level'])
+         */
+        this.diff = (a, b, callback) => {
+            dev.start('diff: ' + a + ' to ' + b)
+            const success = _private.diff(a, b)
+            const index = hasIndex(a) ? b : a
+            dev.end(success, null, _ => dev.error(new InvalidIndexError('Unable to diff.\n Invalid index (' + index + ').', { index: index })))
+            return outcome(success, callback)
+        }
+
+        /**
+         * Recall every state from one index to another in turn, to animate the history. Each step is a `recall()`, with
+         * its middleware, template functions, and events.
+         * @param {number} from - The first index recalled.
+         * @param {number} to - The last index recalled. Replays backwards if it is before `from`.
+         * @param {object=} options - `delayMs`, the time to wait between steps. Defaults to `0`.
+         * @param {function=} callback - Returns the state at `to`.
+         * @notes The replay stops and resolves `null` if `currentIndex` or the store changes between steps, such as when
+         *        the user recalls a state or another replay starts.
+         * @returns {Promise<object>} Resolves with the newly copied state at `to`.
+         * @error Fails if either index is invalid or a recall fails.
+         * @example
+         * 
+         *      stateManager.replay(12, 40, { delayMs: 250 }).then(s => s && console.log('Replayed to', s))
+         */
+        this.replay = (from, to, options, callback) => {
+            dev.start('replay: ' + from + ' to ' + to)
+            const success = _private.replay(from, to, options)
+            const index = hasIndex(from) ? to : from
+            return endSettled(success, callback, _ => dev.error(new InvalidIndexError('Unable to replay.\n Invalid index (' + index + ').', { index: index })))
+        }
+
+        /**
+         * Summarize every stored state and the keys it changed, for history panels and test assertions.
+         * @param {function=} callback - The timeline is also passed as a parameter to the callback.
+         * @returns {array} `KDStateManager~TimelineEntry` objects in index order. In tree mode, the active branch.
+         * @example
+         * 
+         *      stateManager.timeline().forEach(t => console.log(t.index, t.label, t.changed.join(', ')))
+         */
+        this.timeline = callback => _private.timeline(callback)
+
+        /** Object holding functions for navigating a branching history. Requires the `tree` param. */
+        this.tree = {
+            /**
+             * List every branch. A branch is identified by the id of its last node.
+             * @param {function=} callback - The array of branches is also passed as a parameter to the callback.
+             * @returns {array} Objects `{ id, length, active, state }` where `state` is a copy of the last state in the branch.
+             * @error Fails if tree mode is not enabled.
+             * @example
+             * 
+             *      stateManager.tree.branches().forEach(b => console.log(b.id, b.length, b.active))
+             */
+            branches: callback => {
+                dev.start('tree branches')
+                const success = _private.tree.branches()
+                dev.end(success, null, _ => dev.error(new InvalidArgumentError('Unable to list branches.\n Tree mode is not enabled.')))
+                return outcome(success, callback)
+            },
+            /**
+             * Switch to the branch containing a node and recall that node. If the node is not on the active branch, the
+             * branch continues through its most recently added children.
+             * @param {number} id - A node id from `branches()`, `children()`, or `path()`.
+             * @param {function=} callback - Returns the recalled state.
+             * @returns {object|Promise<object>} The newly copied and recalled state. A `Promise` with the `async` param.
+             * @error Fails if tree mode is not enabled or the id is invalid.
+             * @example
+             * 
+             *      stateManager.tree.branch(stateManager.tree.branches()[0].id, s => console.log(s))
+             */
+            branch: (id, callback) => {
+                dev.start('switch to branch at node: ' + id)
+                return endSettled(notify('recall', _ => _private.tree.branch(id)), callback, _ => dev.error(new NotFoundError('Unable to switch branch.\n Invalid node (' + id + ').', { node: id })))
+            },
+            /**
+             * Recall the parent of the current node. Same as `undo()` in tree mode.
+             * @param {function=} callback - Returns the recalled state.
+             * @returns {object|Promise<object>} The newly copied and recalled state. A `Promise` with the `async` param.
+             * @error Fails if tree mode is not enabled or the current node has no parent.
+             */
+            parent: callback => {
+                dev.start('tree parent of index: ' + _state.currentIndex)
+                const index = _state.currentIndex - 1
+                return endSettled(notify('recall', _ => _private.tree.parent()), callback, _ => dev.error(new InvalidIndexError('Unable to recall parent.\n Invalid index (' + index + ').', { index: index })))
+            },
+            /**
+             * List the children of the current node.
+             * @param {function=} callback - The array of children is also passed as a parameter to the callback.
+             * @returns {array} Objects `{ id, active, state }`. `active` is `true` for the child on the active branch.
+             * @error Fails if tree mode is not enabled.
+             */
+            children: callback => {
+                dev.start('tree children of index: ' + _state.currentIndex)
+                const success = _private.tree.children()
+                dev.end(success, null, _ => dev.error(new InvalidArgumentError('Unable to list children.\n Tree mode is not enabled.')))
+                return outcome(success, callback)
+            },
+            /**
+             * Recall a child of the current node, switching to its branch if needed.
+             * @param {number} id - A node id from `children()`.
+             * @param {function=} callback - Returns the recalled state.
+             * @returns {object|Promise<object>} The newly copied and recalled state. A `Promise` with the `async` param.
+             * @error Fails if tree mode is not enabled or the id is not a child of the current node.
+             * @example
+             * 
+             *      const children = stateManager.tree.children()
+             *      stateManager.tree.child(children[children.length - 1].id)
+             */
+            child: (id, callback) => {
+                dev.start('tree child: ' + id)
+                return endSettled(notify('recall', _ => _private.tree.child(id)), callback, _ => dev.error(new NotFoundError('Unable to recall child.\n Invalid node (' + id + ').', { node: id })))
+            },
+            /**
+             * Get the node ids from the first node to the current node. `path()[i]` is the node at index `i`.
+             * @param {function=} callback - The array of ids is also passed as a parameter to the callback.
+             * @returns {array}
+             * @error Fails if tree mode is not enabled.
+             */
+            path: callback => {
+                dev.start('tree path')
+                const success = _private.tree.path()
+                dev.end(success, null, _ => dev.error(new InvalidArgumentError('Unable to get path.\n Tree mode is not enabled.')))
+                return outcome(success, callback)
+            },
+        }
+
+        /**
+         * Object holding functions for keeping instances in other tabs, windows, or workers in step. Once connected,
+         * `append()`, `insert()`, `delete()`, `replace()`, and index changes are broadcast over the channel and remote
+         * ones are applied here, emitting the usual events followed by `sync`. `store()`, `import()`, `storage.get()`, and
+         * transactions are broadcast as a full snapshot.
+         * @notes Conflicts: when two contexts change the history at the same time, the change with the newer head wins
+         *        (more changes first, then the later change, then the higher `source`). The other context replaces its
+         *        history with a snapshot of the winner, and its `sync` event has `conflict: true`. The template functions
+         *        run whenever a remote change moves or changes the current state.
+         */
+        this.sync = {
             /**
-             * Store the KDStateManager instance's `template`, `store`, and `currentIndex` in local storage.
-             * @param {string} key - The key to store under.
+             * Connect to a sync channel, replacing any previous one. Contexts on the same channel exchange heads and
+             * the older ones catch up with a snapshot.
+             * @param {KDStateManager~Channel} channel - See `KDStateManager.channels`.
              * @param {function=} callback - Success is passed to the callback as `true`/`false`.
              * @returns {boolean}
+             * @error Fails if the channel does not implement `post` and `subscribe`.
              * @example
              * 
-             *      stateManager.localStorage.set('history1', s => console.log(s))
-             *      
+             *      stateManager.sync.connect(KDStateManager.channels.broadcastChannel('editor'))
+             *      stateManager.on('sync', e => console.log('changed in another tab', e.op))
              */
-            set: (key, callback) => {
-                dev.start('localStorage SET: ', key)
-                const success = _private.localStorage.set(key, callback)
-                dev.end(success, null, _ => dev.error('Unable to save to localStorage.'))
+            connect: (channel, callback) => {
+                dev.start('sync connect:', channel)
+                const success = _private.sync.connect(channel)
+                dev.end(success, null, _ => dev.error(new InvalidArgumentError('Unable to connect.\n Channels must implement post and subscribe.')))
+                return outcome(success, callback)
             },
             /**
-             * Get a saved KDStateManager `template`, `store`, and `currentIndex` from local storage.
-             * @param {string} key - The target ket.
-             * @param {function=} callback - The returned state is also passed as a parameter to the callback.
-             * @notes Returns the retrieved object on success, but also automatically updates the instance with the retrieved values.
-             * @returns {object} The retrieved object.
-             * @example
-             * 
-             *      stateManager.localStorage.get('history1', s => console.log(s))
-             *      
+             * Stop syncing. The history is kept.
+             * @param {function=} callback - Whether a channel was connected is also passed to the callback.
+             * @returns {boolean} `true` if a channel was connected.
              */
-            get: (key, callback) => {
-                dev.start('localStorage GET: ', key)
-                const success = _private.localStorage.get(key, callback)
-                dev.end(success, null, _ => dev.error('Unable to retrieve from localStorage.'))
+            disconnect: callback => _private.sync.disconnect(callback),
+            /**
+             * @returns {object} `{ connected, source, revision }` where `source` identifies this instance in sync messages
+             *                   and `revision` counts the changes in the synced history.
+             */
+            status: _ => ({ connected: !!_state.sync.channel, source: _state.sync.source, revision: _state.sync.head.revision }),
+        }
+
+        if (params.sync) this.sync.connect(params.sync)
+        if (params.autosave) this.autosave.start(params.autosave)
+
+    }
+}
+
+/** Base64 for byte arrays, used by the serializers and the encrypted adapter. Not exposed outside the module. */
+const base64 = {
+    encode: bytes => {
+        if (typeof Buffer === 'function') return Buffer.from(bytes).toString('base64')
+        let binary = ''
+        for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000))
+        return btoa(binary)
+    },
+    decode: text => {
+        if (typeof Buffer === 'function') {
+            const buffer = Buffer.from(text, 'base64')
+            return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.length).slice()
+        }
+        const binary = atob(text)
+        const bytes = new Uint8Array(binary.length)
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
+        return bytes
+    },
+}
+
+/**
+ *  Storage adapters for `KDStateManager`. Pass one as the `storage` constructor parameter or to `.storage.adapter()`.
+ *  Each adapter stores serialized strings by key and implements `set`, `get`, `remove`, and `list`.
+ *  @see KDStateManager~StorageAdapter
+ */
+KDStateManager.adapters = {
+
+    /**
+     * Keeps values in a `Map` for the lifetime of the adapter. Useful in tests and Node workers.
+     * @param {object=} initial - Optional keyed values to start with.
+     * @returns {KDStateManager~StorageAdapter}
+     * @example
+     * 
+     *      const stateManager = new KDStateManager(template, { storage: KDStateManager.adapters.memory() })
+     */
+    memory: initial => {
+        const map = new Map(Object.entries(initial || {}))
+        return {
+            set: (key, value) => { map.set(key, value) },
+            get: key => map.has(key) ? map.get(key) : null,
+            remove: key => { map.delete(key) },
+            list: _ => Array.from(map.keys()),
+        }
+    },
+
+    /**
+     * Wraps a Web Storage object (`localStorage`, `sessionStorage`, or anything with the same interface).
+     * @param {Storage} storage - The Web Storage object.
+     * @param {string=} prefix - Optional prefix added to every key. `list()` only returns keys with this prefix.
+     * @returns {KDStateManager~StorageAdapter}
+     */
+    webStorage: (storage, prefix) => {
+        prefix = prefix || ''
+        return {
+            set: (key, value) => storage.setItem(prefix + key, value),
+            get: key => storage.getItem(prefix + key),
+            remove: key => storage.removeItem(prefix + key),
+            list: _ => {
+                const keys = []
+                for (let i = 0; i < storage.length; i++) {
+                    const key = storage.key(i)
+                    if (key != null && key.indexOf(prefix) === 0) keys.push(key.slice(prefix.length))
+                }
+                return keys
             },
         }
+    },
 
-        /**
-         * Add a state to the end of the store stack.
-         * @param {object} state - A state object should consist of keys that match some if not all keys in the template.
-         * @param {function=} callback - Returns the stored state.
-         * @notes The value will be stored as a deep copy with no references.
-         * @returns {object} The newly copied and stored state.
-         * @example
-         * 
-         *      const state = {
-         *          'name': 'Named',
-         *          'attribute: 'generic',
-         *      }
-         * 
-         *      stateManager.append(state, s => console.log(s) )
-         */
-        this.append = (state, callback) => {
-            dev.start('append:', state)
-            const success = _private.append(state, callback)
-            dev.end(success)
-            return success
+    /**
+     * Uses `window.localStorage`.
+     * @param {string=} prefix - Optional prefix added to every key.
+     * @returns {KDStateManager~StorageAdapter}
+     */
+    localStorage: prefix => KDStateManager.adapters.webStorage(localStorage, prefix),
+
+    /**
+     * Uses `window.sessionStorage`.
+     * @param {string=} prefix - Optional prefix added to every key.
+     * @returns {KDStateManager~StorageAdapter}
+     */
+    sessionStorage: prefix => KDStateManager.adapters.webStorage(sessionStorage, prefix),
+
+    /**
+     * Uses an IndexedDB object store. Every method returns a `Promise`.
+     * @param {string=} dbName - Database name. Defaults to `'KDStateManager'`.
+     * @param {string=} storeName - Object store name. Defaults to `'history'`.
+     * @param {IDBFactory=} factory - Defaults to the global `indexedDB`.
+     * @returns {KDStateManager~StorageAdapter}
+     * @example
+     * 
+     *      const stateManager = new KDStateManager(template, { storage: KDStateManager.adapters.indexedDB('myApp') })
+     *      stateManager.storage.set('history1').then(s => console.log(s))
+     */
+    indexedDB: (dbName, storeName, factory) => {
+        dbName = dbName || 'KDStateManager'
+        storeName = storeName || 'history'
+        let db = null
+        const open = _ => db = db || new Promise((resolve, reject) => {
+            const request = (factory || indexedDB).open(dbName, 1)
+            request.onupgradeneeded = _ => request.result.createObjectStore(storeName)
+            request.onsuccess = _ => resolve(request.result)
+            request.onerror = _ => reject(request.error)
+        }).then(null, e => {
+            db = null
+            throw e
+        })
+        const run = (mode, fn) => open().then(database => new Promise((resolve, reject) => {
+            const request = fn(database.transaction(storeName, mode).objectStore(storeName))
+            request.onsuccess = _ => resolve(request.result)
+            request.onerror = _ => reject(request.error)
+        }))
+        return {
+            set: (key, value) => run('readwrite', store => store.put(value, key)).then(_ => {}),
+            get: key => run('readonly', store => store.get(key)).then(value => value === undefined ? null : value),
+            remove: key => run('readwrite', store => store.delete(key)).then(_ => {}),
+            list: _ => run('readonly', store => store.getAllKeys()),
+        }
+    },
+
+    /**
+     * Uses one file per key in a directory. Node only.
+     * @param {string} directory - The directory to save files in. Created if missing.
+     * @returns {KDStateManager~StorageAdapter}
+     * @example
+     * 
+     *      const stateManager = new KDStateManager(template, { storage: KDStateManager.adapters.fileSystem('./history') })
+     */
+    fileSystem: directory => {
+        const fs = require('fs')
+        const path = require('path')
+        const ext = '.json'
+        const file = key => path.join(directory, encodeURIComponent(key) + ext)
+        const ensure = _ => fs.mkdirSync(directory, { recursive: true })
+        return {
+            set: (key, value) => {
+                ensure()
+                fs.writeFileSync(file(key), value, 'utf8')
+            },
+            get: key => fs.existsSync(file(key)) ? fs.readFileSync(file(key), 'utf8') : null,
+            remove: key => {
+                if (fs.existsSync(file(key))) fs.unlinkSync(file(key))
+            },
+            list: _ => fs.existsSync(directory)
+                ? fs.readdirSync(directory)
+                    .filter(name => name.slice(-ext.length) === ext)
+                    .map(name => decodeURIComponent(name.slice(0, -ext.length)))
+                : [],
+        }
+    },
+
+    /**
+     * Wraps another adapter to encrypt every value with AES-GCM, through WebCrypto in the browser or Node's `crypto`.
+     * The GCM tag also authenticates each value against its key, so `get()` refuses a value that was modified, truncated,
+     * moved from another key, or saved without encryption. The refusal is an `InvalidSnapshotError` and nothing is
+     * imported.
+     * @param {KDStateManager~StorageAdapter} adapter - Holds the encrypted values.
+     * @param {CryptoKey|ArrayBuffer|Uint8Array} key - An AES-GCM `CryptoKey` allowed to `encrypt` and `decrypt`, or 16,
+     *                                                24, or 32 bytes of raw key.
+     * @returns {KDStateManager~StorageAdapter} An async adapter.
+     * @example
+     * 
+     *      const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt'])
+     *      const stateManager = new KDStateManager(template, {
+     *          storage: KDStateManager.adapters.encrypted(KDStateManager.adapters.localStorage(), key),
+     *      })
+     */
+    encrypted: (adapter, key) => {
+        const format = 'KDStateManager.AES-GCM'
+        const bytes = text => new TextEncoder().encode(text)
+        let ready = null
+        /** Resolves with `{ webcrypto, key }`, importing a raw key once. */
+        const load = _ => ready = ready || new Promise(resolve => {
+            resolve(typeof crypto !== 'undefined' && crypto.subtle ? crypto : require('crypto').webcrypto)
+        }).then(webcrypto => key instanceof ArrayBuffer || ArrayBuffer.isView(key)
+            ? webcrypto.subtle.importKey('raw', key, 'AES-GCM', false, ['encrypt', 'decrypt']).then(k => ({ webcrypto: webcrypto, key: k }))
+            : { webcrypto: webcrypto, key: key })
+            .then(null, e => {
+                ready = null
+                throw e
+            })
+        const refuse = (k, reason) => new InvalidSnapshotError('Unable to load.\n ' + reason, { key: k, reason: reason })
+        return {
+            set: (k, value) => load().then(c => {
+                const iv = c.webcrypto.getRandomValues(new Uint8Array(12))
+                return c.webcrypto.subtle.encrypt({ name: 'AES-GCM', iv: iv, additionalData: bytes(k) }, c.key, bytes(value))
+                    .then(data => adapter.set(k, JSON.stringify({ format: format, iv: base64.encode(iv), data: base64.encode(new Uint8Array(data)) })))
+            }),
+            get: k => Promise.resolve(adapter.get(k)).then(saved => {
+                if (saved === null || saved === undefined) return null
+                let blob = null
+                try {
+                    blob = JSON.parse(saved)
+                    blob = { iv: base64.decode(blob.iv), data: base64.decode(blob.data), format: blob.format }
+                } catch (e) {}
+                if (!blob || blob.format !== format || blob.iv.length !== 12) {
+                    throw refuse(k, 'The value under "' + k + '" is not encrypted with AES-GCM.')
+                }
+                return load().then(c => c.webcrypto.subtle.decrypt({ name: 'AES-GCM', iv: blob.iv, additionalData: bytes(k) }, c.key, blob.data)
+                    .then(data => new TextDecoder().decode(data), _ => {
+                        throw refuse(k, 'The value under "' + k + '" failed the integrity check. It was modified, truncated, moved from another key, or encrypted with another key.')
+                    }))
+            }),
+            remove: k => adapter.remove(k),
+            list: _ => adapter.list(),
+        }
+    },
+
+}
+
+/**
+ *  Serializers for `KDStateManager`. Pass one as the `serializer` constructor parameter. A serializer turns envelopes
+ *  into strings for storage adapters and back.
+ *  @see KDStateManager~Serializer
+ */
+KDStateManager.serializers = {
+
+    /**
+     * JSON that keeps the values plain JSON loses. `Date`, `RegExp`, `Map`, `Set`, `ArrayBuffer`, typed arrays,
+     * `DataView`, `BigInt`, `undefined`, `NaN`, `Infinity`, and `-0` are written as tagged objects
+     * `{ "$kd": type, "v": data }`, and a value referenced more than once (including cycles) is written once and then
+     * as `{ "$kd": "Ref", "v": n }`. Plain JSON without tags parses as usual.
+     * @param {object=} revivers - Custom types keyed by tag name. Each is `{ test, serialize, revive }`: `test(value)`
+     *                             picks the values, `serialize(value)` returns data to write in their place, and
+     *                             `revive(data)` rebuilds them. Checked before the built-in types.
+     * @returns {KDStateManager~Serializer}
+     * @example
+     *
+     *      const serializer = KDStateManager.serializers.json({
+     *          Point: {
+     *              test: value => value instanceof Point,
+     *              serialize: point => [point.x, point.y],
+     *              revive: data => new Point(data[0], data[1]),
+     *          },
+     *      })
+     *      const stateManager = new KDStateManager(template, { serializer: serializer })
+     */
+    json: revivers => {
+        revivers = revivers && typeof revivers === 'object' ? revivers : {}
+        const custom = Object.keys(revivers).filter(name => {
+            const r = revivers[name]
+            return !!r && ['test', 'serialize', 'revive'].every(fn => typeof r[fn] === 'function')
+        })
+        const views = ['Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array', 'Int32Array', 'Uint32Array',
+            'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array', 'DataView']
+            .filter(name => typeof globalThis[name] === 'function')
+        const tagged = (type, v) => v === undefined ? { $kd: type } : { $kd: type, v: v }
+
+        /** Encode a value as JSON-safe data. `refs` maps every object seen so far to its number. */
+        const encode = (value, refs) => {
+            if (value === undefined) return tagged('undefined')
+            if (typeof value === 'bigint') return tagged('BigInt', String(value))
+            if (typeof value === 'number') {
+                if (Number.isNaN(value)) return tagged('Number', 'NaN')
+                if (value === Infinity || value === -Infinity) return tagged('Number', String(value))
+                if (Object.is(value, -0)) return tagged('Number', '-0')
+                return value
+            }
+            if (typeof value === 'function' || typeof value === 'symbol') return undefined
+            if (value === null || typeof value !== 'object') return value
+            if (refs.has(value)) return tagged('Ref', refs.get(value))
+            refs.set(value, refs.size)
+            const name = custom.find(n => revivers[n].test(value))
+            if (name) return { $kd: 'Custom', t: name, v: encode(revivers[name].serialize(value), refs) }
+            if (value instanceof Date) return tagged('Date', encode(value.getTime(), refs))
+            if (value instanceof RegExp) return tagged('RegExp', [value.source, value.flags])
+            if (value instanceof Map) return tagged('Map', Array.from(value).map(e => [encode(e[0], refs), encode(e[1], refs)]))
+            if (value instanceof Set) return tagged('Set', Array.from(value).map(v => encode(v, refs)))
+            if (value instanceof ArrayBuffer) return tagged('ArrayBuffer', base64.encode(new Uint8Array(value)))
+            if (ArrayBuffer.isView(value)) {
+                return tagged(value.constructor.name, base64.encode(new Uint8Array(value.buffer, value.byteOffset, value.byteLength)))
+            }
+            if (Array.isArray(value)) return value.map(v => {
+                const e = encode(v, refs)
+                return e === undefined ? null : e
+            })
+            const out = {}
+            Object.keys(value).forEach(key => {
+                const e = encode(value[key], refs)
+                if (e !== undefined) out[key] = e
+            })
+            return Object.prototype.hasOwnProperty.call(value, '$kd') ? tagged('Object', out) : out
+        }
+
+        /** Rebuild a value from `encode()` data. `refs` holds every object rebuilt so far, by number. */
+        const decode = (data, refs) => {
+            if (data === null || typeof data !== 'object') return data
+            if (Array.isArray(data)) {
+                const out = []
+                refs.push(out)
+                data.forEach(v => out.push(decode(v, refs)))
+                return out
+            }
+            const type = typeof data.$kd === 'string' ? data.$kd : null
+            const fill = (out, source) => {
+                Object.keys(source).forEach(key => out[key] = decode(source[key], refs))
+                return out
+            }
+            if (!type) {
+                const out = {}
+                refs.push(out)
+                return fill(out, data)
+            }
+            if (type === 'undefined') return undefined
+            if (type === 'BigInt') return BigInt(data.v)
+            if (type === 'Number') return Number(data.v)
+            if (type === 'Ref') return refs[data.v]
+            const slot = refs.length
+            refs.push(undefined)
+            let out
+            if (type === 'Custom') out = revivers[data.t] ? revivers[data.t].revive(decode(data.v, refs)) : decode(data.v, refs)
+            else if (type === 'Date') out = new Date(decode(data.v, refs))
+            else if (type === 'RegExp') out = new RegExp(data.v[0], data.v[1])
+            else if (type === 'Map') {
+                out = refs[slot] = new Map()
+                data.v.forEach(e => out.set(decode(e[0], refs), decode(e[1], refs)))
+            } else if (type === 'Set') {
+                out = refs[slot] = new Set()
+                data.v.forEach(v => out.add(decode(v, refs)))
+            } else if (type === 'ArrayBuffer') out = base64.decode(data.v).buffer
+            else if (views.indexOf(type) > -1) {
+                const buffer = base64.decode(data.v).buffer
+                out = type === 'DataView' ? new DataView(buffer) : new globalThis[type](buffer)
+            } else if (type === 'Object') out = fill(refs[slot] = {}, data.v)
+            else out = fill(refs[slot] = {}, data)
+            refs[slot] = out
+            return out
+        }
+
+        return {
+            stringify: value => JSON.stringify(encode(value, new Map())),
+            parse: text => decode(JSON.parse(text), []),
+        }
+    },
+
+    /**
+     * Plain `JSON.stringify`/`JSON.parse`, for snapshots read by other tools. Values JSON cannot hold are lost.
+     * @returns {KDStateManager~Serializer}
+     */
+    plain: _ => ({
+        stringify: value => JSON.stringify(value),
+        parse: text => JSON.parse(text),
+    }),
+
+}
+
+/**
+ *  Loggers for `KDStateManager`. Pass one as the `logger` constructor parameter or to `.logger()`.
+ *  @see KDStateManager~Logger
+ */
+KDStateManager.loggers = {
+
+    /**
+     * Log to the console with collapsed groups per operation and colored text.
+     * @param {object=} colors - Overrides for the `start`, `log`, and `error` css colors.
+     * @returns {KDStateManager~Logger}
+     */
+    console: colors => {
+        colors = Object.assign({ error: '#F1828D', log: '#FEFAD4', start: '#8FB9A8' }, colors)
+        const text = color => 'color:' + color + ';'
+        const background = color => 'background:' + color + ';'
+        return {
+            debug: record => {
+                if (record.group === 'start') {
+                    console.groupCollapsed('%c' + record.message, text(colors.start) + 'font-weight: normal;')
+                    if (record.data != undefined) console.log(record.data)
+                    if (record.trace) console.trace()
+                } else if (record.group === 'end') {
+                    if (record.trace) console.trace()
+                    console.groupEnd()
+                    if (!record.success) console.log('%c^ Failed ', background(colors.error) + text('#000'))
+                } else {
+                    console.group('%c' + record.message, text(colors.log) + 'font-weight: normal;')
+                    console.log(record.data)
+                    if (record.trace) console.trace()
+                    console.groupEnd()
+                }
+            },
+            info: record => console.info('%c' + record.message, text(colors.log), record.data === undefined ? '' : record.data),
+            warn: record => console.warn('%c ' + (record.error || record.message) + ' ', text(colors.error)),
+            error: record => console.error('%c ' + (record.error || record.message) + ' ', text(colors.error)),
+        }
+    },
+
+    /**
+     * Discard every record.
+     * @returns {KDStateManager~Logger}
+     */
+    silent: _ => ({ debug: _ => {}, info: _ => {}, warn: _ => {}, error: _ => {} }),
+
+    /**
+     * Write each record as one line of JSON: `{ time, level, message, data, error }`. Errors are written with their
+     * `name`, `code`, `message`, and context. The `debug` records closing a group are skipped.
+     * @param {function=} write - Receives each line. Defaults to `console.log`.
+     * @returns {KDStateManager~Logger}
+     * @example
+     *
+     *      const stateManager = new KDStateManager(template, {
+     *          logger: KDStateManager.loggers.json(line => process.stderr.write(line + '\n')),
+     *          logLevel: 'info',
+     *      })
+     */
+    json: write => {
+        write = typeof write === 'function' ? write : line => console.log(line)
+        const replacer = (key, value) => value instanceof Error
+            ? Object.assign({ name: value.name, message: value.message }, value)
+            : value
+        const log = record => {
+            if (record.group === 'end') return
+            const line = { time: new Date().toISOString(), level: record.level, message: record.message }
+            if (record.data !== undefined) line.data = record.data
+            if (record.error) line.error = record.error
+            try {
+                write(JSON.stringify(line, replacer))
+            } catch (e) {
+                if (line.data !== undefined) line.data = String(line.data)
+                write(JSON.stringify(line, replacer))
+            }
+        }
+        return { debug: log, info: log, warn: log, error: log }
+    },
+
+}
+
+/**
+ *  Sync channels for `KDStateManager`. Pass one as the `sync` constructor parameter or to `.sync.connect()`.
+ *  Each channel carries plain-object messages and implements `post` and `subscribe`. Channels that write strings use a
+ *  `KDStateManager~Serializer`, by default `KDStateManager.serializers.json()`.
+ *  @see KDStateManager~Channel
+ */
+KDStateManager.channels = {
+
+    /**
+     * Delivers messages synchronously to every subscriber in the same process. Share one between instances to sync
+     * them in Node or in tests.
+     * @param {KDStateManager~Serializer=} serializer - Each message is serialized and parsed again, like a real channel.
+     * @returns {KDStateManager~Channel}
+     * @example
+     * 
+     *      const channel = KDStateManager.channels.memory()
+     *      const a = new KDStateManager(template, { sync: channel })
+     *      const b = new KDStateManager(template, { sync: channel })
+     */
+    memory: serializer => {
+        serializer = serializer || KDStateManager.serializers.json()
+        let listeners = []
+        return {
+            post: message => {
+                const serialized = serializer.stringify(message)
+                listeners.slice().forEach(listener => listener(serializer.parse(serialized)))
+            },
+            subscribe: listener => {
+                listeners = listeners.concat(listener)
+                return _ => listeners = listeners.filter(l => l !== listener)
+            },
+        }
+    },
+
+    /**
+     * Uses a `BroadcastChannel`, reaching every tab, window, and worker of the same origin.
+     * @param {string=} name - The channel name. Defaults to `'KDStateManager'`.
+     * @returns {KDStateManager~Channel}
+     */
+    broadcastChannel: name => {
+        const channel = new BroadcastChannel(name || 'KDStateManager')
+        return {
+            post: message => channel.postMessage(message),
+            subscribe: listener => {
+                const handler = e => listener(e.data)
+                channel.addEventListener('message', handler)
+                return _ => channel.removeEventListener('message', handler)
+            },
+        }
+    },
+
+    /**
+     * Uses `storage` events, for browsers without `BroadcastChannel`. Messages are written to a single key.
+     * @param {string=} key - The key to write messages to. Defaults to `'KDStateManager-sync'`.
+     * @param {Storage=} storage - Defaults to `window.localStorage`.
+     * @param {EventTarget=} target - Receives the `storage` events. Defaults to `window`.
+     * @param {KDStateManager~Serializer=} serializer - Writes and reads the messages.
+     * @returns {KDStateManager~Channel}
+     */
+    storageEvents: (key, storage, target, serializer) => {
+        key = key || 'KDStateManager-sync'
+        storage = storage || localStorage
+        target = target || window
+        serializer = serializer || KDStateManager.serializers.json()
+        return {
+            post: message => storage.setItem(key, serializer.stringify(message)),
+            subscribe: listener => {
+                const handler = e => {
+                    if (e.key === key && e.newValue) listener(serializer.parse(e.newValue))
+                }
+                target.addEventListener('storage', handler)
+                return _ => target.removeEventListener('storage', handler)
+            },
         }
+    },
+
+    /**
+     * Uses a `MessagePort`, `Worker`, or anything else with `postMessage` and `addEventListener('message')`.
+     * @param {MessagePort|Worker} port - The port. Started automatically if it has `start()`.
+     * @returns {KDStateManager~Channel}
+     * @example
+     * 
+     *      const { port1, port2 } = new MessageChannel()
+     *      worker.postMessage({ port: port2 }, [port2])
+     *      stateManager.sync.connect(KDStateManager.channels.messagePort(port1))
+     */
+    messagePort: port => ({
+        post: message => port.postMessage(message),
+        subscribe: listener => {
+            const handler = e => listener(e.data)
+            port.addEventListener('message', handler)
+            if (typeof port.start === 'function') port.start()
+            return _ => port.removeEventListener('message', handler)
+        },
+    }),
+
+}
+
+/**
+ *  Bindings for UI frameworks, built on the public API. Each exposes reactive `canUndo`, `canRedo`, `currentIndex`, and
+ *  `entries` that update after every change to the instance, and `undo()` and `redo()`. The framework is passed in, so
+ *  none is required to load `KDStateManager`.
+ *  @see KDStateManager~HistoryView
+ */
+KDStateManager.bindings = (_ => {
+
+    /** History sources already created by `KDStateManager.bindings.history()`, keyed by instance. */
+    const historySources = new WeakMap()
+
+    return {
 
         /**
-         * Recall a stored state at a specific index. Recalling a state will attempt to match keys in the state with keys
-         * in the template. Where matches are found, the state value is passed to the template function. Also updates the
-         * `currentIndex` to the recalled index.
-         * @param {number} index - The desired index to recall.
-         * @param {function=} callback - Returns the recalled state.
-         * @notes The value will be recalled as a deep copy with no references.
-         * @returns {object} The newly copied and recalled state.
-         * @error Fails if the index is invalid.
+         * Get the history source the framework bindings share. It listens to the instance's events once and builds a new
+         * `KDStateManager~HistoryView` only when it is read after a change.
+         * @param {KDStateManager} stateManager - The instance to watch.
+         * @notes Calling `off()` on the instance without a listener also removes the source's listeners. `entries.update()`
+         *        does not emit an event, so call `refresh()` after it to show new labels and tags.
+         * @returns {object} `{ get, subscribe, refresh }`. `get()` returns the current view, the same object until something
+         *                   changes. `subscribe(fn)` calls `fn` after each change and returns a function that unsubscribes.
+         *                   `refresh()` marks the view as changed.
          * @example
          * 
-         *      const template = {
-         *          level: value => handleLevel(value),
-         *          title: value => setTitle(value),
-         *          stats: value => stats.forEach(stat => handleStat(stat)),
-         *          equip: value => {
-         *              equip(value.hands)
-         *              equip(value.hat)
-         *          },
-         *      }
-         * 
-         *      stateManager.template(template)
-         *      stateManager.append(state)
-         *      stateManager.append(state)
-         *  
-         *      stateManager.recall(0, s => console.log(s) )
+         *      const history = KDStateManager.bindings.history(stateManager)
+         *      history.subscribe(_ => undoButton.disabled = !history.get().canUndo)
          */
-        this.recall = (index, callback) => {
-            dev.start('recall index: ' + index)
-            const success = _private.recall(index, callback)
-            dev.end(success, null, _ => dev.error('Unable to recall.\n Invalid index (' + index + ').'))
-            return success
-        }
+        history: stateManager => {
+            if (historySources.has(stateManager)) return historySources.get(stateManager)
+            let view = null
+            let listeners = []
+            const refresh = _ => {
+                view = null
+                listeners.slice().forEach(listener => listener())
+            }
+            const types = ['append', 'insert', 'delete', 'replace', 'execute', 'recall', 'undo', 'redo', 'storeReplaced', 'indexChanged', 'evict',
+                'transaction']
+            types.forEach(type => stateManager.on(type, refresh))
+            const source = {
+                get: _ => {
+                    if (view) return view
+                    const currentIndex = stateManager.index.current()
+                    return view = {
+                        canUndo: currentIndex > 0,
+                        canRedo: currentIndex > -1 && currentIndex < stateManager.index.last(),
+                        currentIndex: currentIndex,
+                        entries: stateManager.entries.list(),
+                    }
+                },
+                subscribe: listener => {
+                    listeners = listeners.concat(listener)
+                    return _ => listeners = listeners.filter(l => l !== listener)
+                },
+                refresh: refresh,
+            }
+            historySources.set(stateManager, source)
+            return source
+        },
 
         /**
-         * Delete a stored state at a specific index. Deleting a state completely deletes the index. Other indices will be
-         * shifted.
-         * @param {number} index - The desired index to delete.
-         * @param {function=} callback - Returns the deleted state.
-         * @returns {object} The deleted state.
-         * @error Fails if the index is invalid.
+         * Create a React hook for an instance's history. Uses `useSyncExternalStore` where available (React 18), otherwise
+         * `useState` and `useEffect`.
+         * @param {object} React - The `react` module.
+         * @returns {function(KDStateManager): object} `useStateHistory(stateManager)`, returning the
+         *                                             `KDStateManager~HistoryView` with `undo()` and `redo()`.
          * @example
          * 
-         *      stateManager.delete(0, s => console.log(s) )
+         *      const useStateHistory = KDStateManager.bindings.react(React)
+         *      const UndoButton = ({ stateManager }) => {
+         *          const history = useStateHistory(stateManager)
+         *          return <button disabled={!history.canUndo} onClick={history.undo}>Undo</button>
+         *      }
          */
-        this.delete = (index, callback) => {
-            dev.start('delete index: ' + index)
-            const success = _private.delete(index, callback)
-            dev.end(success, null, _ => dev.error('Unable to delete.\n Invalid index (' + index + ').'))
-        }
+        react: React => stateManager => {
+            const source = KDStateManager.bindings.history(stateManager)
+            let view
+            if (React.useSyncExternalStore) view = React.useSyncExternalStore(source.subscribe, source.get, source.get)
+            else {
+                const state = React.useState(source.get)
+                view = state[0]
+                React.useEffect(_ => {
+                    state[1](source.get())
+                    return source.subscribe(_ => state[1](source.get()))
+                }, [source])
+            }
+            return Object.assign({}, view, {
+                undo: _ => stateManager.undo(),
+                redo: _ => stateManager.redo(),
+            })
+        },
 
         /**
-         * Insert a state at a specific index. The state will be placed at the requested index and other states will be shifted.
-         * @param {number} index - The index where the state should be inserted.
-         * @param {object} state - The target state object.
-         * @param {function=} callback - Returns the inserted state.
-         * @notes The value will be stored as a deep copy with no references.
-         * @returns {object} The newly copied and inserted state.
-         * @error Fails if the index is invalid.
+         * Create a Vue 3 composable for an instance's history. Inside a component or effect scope it stops listening when
+         * the scope is disposed.
+         * @param {object} Vue - The `vue` module.
+         * @returns {function(KDStateManager): object} `useStateHistory(stateManager)`, returning computed refs `canUndo`,
+         *                                             `canRedo`, `currentIndex`, and `entries`, with `undo()`, `redo()`,
+         *                                             and `stop()`.
          * @example
          * 
-         *      stateManager.insert(1, state, s => console.log(s) )
+         *      const useStateHistory = KDStateManager.bindings.vue(Vue)
+         *      setup() {
+         *          const { canUndo, undo } = useStateHistory(stateManager)
+         *          return { canUndo, undo }
+         *      }
          */
-        this.insert = (index, state, callback) => {
-            dev.start('insert at index: ' + index)
-            const success = _private.insert(index, state, callback)
-            dev.end(success, null, _ => dev.error('Unable to insert at index ' + index + '.\n Invalid index (' + index + ').'))
-        }
+        vue: Vue => stateManager => {
+            const source = KDStateManager.bindings.history(stateManager)
+            let stop = null
+            const view = Vue.customRef((track, trigger) => {
+                stop = source.subscribe(trigger)
+                return {
+                    get: _ => {
+                        track()
+                        return source.get()
+                    },
+                    set: _ => {},
+                }
+            })
+            if (Vue.getCurrentScope && Vue.getCurrentScope()) Vue.onScopeDispose(stop)
+            return {
+                canUndo: Vue.computed(_ => view.value.canUndo),
+                canRedo: Vue.computed(_ => view.value.canRedo),
+                currentIndex: Vue.computed(_ => view.value.currentIndex),
+                entries: Vue.computed(_ => view.value.entries),
+                undo: _ => stateManager.undo(),
+                redo: _ => stateManager.redo(),
+                stop: stop,
+            }
+        },
 
         /**
-         * Replace a state at a specific index. The existing state will be deleted and the new state placed at the requested index.
-         * @param {number} index - The index where the replacement should occur.
-         * @param {object} state - The new state object.
-         * @param {function=} callback - Returns the newly inserted state.
-         * @notes The value will be stored as a deep copy with no references.
-         * @returns {object} The newly copied and inserted state.
-         * @error Fails if the index is invalid.
+         * Create a Svelte store for an instance's history. Follows the store contract, so `$history` works in components
+         * and `get()` from `svelte/store` works in tests.
+         * @param {KDStateManager} stateManager - The instance to watch.
+         * @returns {object} A readable store of the `KDStateManager~HistoryView`, with readable stores `canUndo`,
+         *                   `canRedo`, `currentIndex`, and `entries`, and `undo()` and `redo()`.
          * @example
          * 
-         *      stateManager.replace(1, state, s => console.log(s) )
+         *      const history = KDStateManager.bindings.svelte(stateManager)
+         *      // <button disabled={!$history.canUndo} on:click={history.undo}>Undo</button>
          */
-        this.replace = (index, state, callback) => {
-            dev.start('replace state at index: ' + index)
-            const success = _private.replace(index, state, callback)
-            dev.end(success, null, _ => dev.error('Unable to replace at index ' + index + '.\n Invalid index (' + index + ').'))
-        }
+        svelte: stateManager => {
+            const source = KDStateManager.bindings.history(stateManager)
+            const readable = pick => ({
+                subscribe: run => {
+                    let value = pick(source.get())
+                    run(value)
+                    return source.subscribe(_ => {
+                        const next = pick(source.get())
+                        if (next !== value) run(value = next)
+                    })
+                },
+            })
+            return Object.assign(readable(view => view), {
+                canUndo: readable(view => view.canUndo),
+                canRedo: readable(view => view.canRedo),
+                currentIndex: readable(view => view.currentIndex),
+                entries: readable(view => view.entries),
+                undo: _ => stateManager.undo(),
+                redo: _ => stateManager.redo(),
+            })
+        },
 
-        /** 
-         * Recall the state at the index one before `currentIndex`.
-         * @param {function=} callback - Returns the recalled state.
-         * @notes The value will be recalled as a deep copy with no references.
-         * @returns {object} The newly copied and recalled state.
-         * @error Fails if the index is invalid.
-         * @example
-         *      
-         *      stateManager.append(prevState)
-         *      stateManager.append(state)
-         *      stateManager.undo(s => console.log( s == prevState ))
-         */
-        this.undo = callback => {
-            dev.start('undo to index: ' + (this.index.current() - 1) + ' out of ' + this.index.last())
-            const success = _private.undo(callback)
-            dev.end(success, null, _ => dev.error('Unable to undo.\n Invalid index (' + (_state.currentIndex - 1) + ').'))
-        }
+    }
+})()
 
-        /** 
-         * Recall the state at the index one after `currentIndex`.
-         * @param {function=} callback - Returns the recalled state.
-         * @notes The value will be recalled as a deep copy with no references.
-         * @returns {object} The newly copied and recalled state.
-         * @error Fails if the index is invalid.
-         * @example
-         *      
-         *      stateManager.append(prevState)
-         *      stateManager.append(state)
-         *      stateManager.undo(s => console.log( s == prevState ))
-         *      stateManager.redo(s => console.log( s == state ))
-         */
-        this.redo = callback => {
-            dev.start('redo to index: ' + (this.index.current() + 1) + ' out of ' + this.index.last())
-            const success = _private.redo(callback)
-            dev.end(success, null, _ => dev.error('Unable to redo.\n Invalid index (' + (_state.currentIndex + 1) + ').'))
-        }
+/**
+ * Error classes reported by instances, for `instanceof` checks. `codes` maps each `code` to its class name.
+ * @example
+ *
+ *      stateManager.on('error', e => {
+ *          if (e.error instanceof KDStateManager.errors.InvalidIndexError) console.log(e.error.index)
+ *      })
+ */
+KDStateManager.errors = {
+    KDStateManagerError: KDStateManagerError,
+    InvalidIndexError: InvalidIndexError,
+    NotFoundError: NotFoundError,
+    InvalidTemplateError: InvalidTemplateError,
+    InvalidStateError: InvalidStateError,
+    InvalidSnapshotError: InvalidSnapshotError,
+    InvalidArgumentError: InvalidArgumentError,
+    StorageError: StorageError,
+    HandlerError: HandlerError,
+    TransactionError: TransactionError,
+    SyncError: SyncError,
+    OperationVetoedError: OperationVetoedError,
+    codes: {
+        INVALID_INDEX: 'InvalidIndexError',
+        NOT_FOUND: 'NotFoundError',
+        INVALID_TEMPLATE: 'InvalidTemplateError',
+        INVALID_STATE: 'InvalidStateError',
+        INVALID_SNAPSHOT: 'InvalidSnapshotError',
+        INVALID_ARGUMENT: 'InvalidArgumentError',
+        STORAGE_FAILURE: 'StorageError',
+        HANDLER_FAILURE: 'HandlerError',
+        TRANSACTION_FAILED: 'TransactionError',
+        SYNC_FAILURE: 'SyncError',
+        OPERATION_VETOED: 'OperationVetoedError',
+    },
+}
 
-    }
-}
\ No newline at end of file
+return KDStateManager
+
+})()
+
+if (typeof module !== 'undefined' && module.exports) module.exports = KDStateManager
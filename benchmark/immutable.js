@@ -0,0 +1,67 @@
+/**
+ * Compare the default copying mode with `immutable: true` on a large store.
+ *
+ *      node benchmark/immutable.js [entries] [items]
+ *
+ * Each state holds `items` records; consecutive states differ in one record, like an editor history.
+ */
+
+const KDStateManager = require('../KDStateManager.js')
+
+const entries = Number(process.argv[2]) || 500
+const items = Number(process.argv[3]) || 100
+
+const makeState = (base, n) => {
+    const records = base ? base.records.slice() : Array.from({ length: items }, (_, i) => ({ id: i, name: 'item ' + i, tags: ['a', 'b'] }))
+    const i = n % items
+    records[i] = { id: i, name: 'item ' + i + ' v' + n, tags: ['a', 'b'] }
+    return { title: 'document', revision: n, records: records }
+}
+
+const time = fn => {
+    const start = process.hrtime.bigint()
+    fn()
+    return Number(process.hrtime.bigint() - start) / 1e6
+}
+
+const heap = _ => {
+    if (global.gc) global.gc()
+    return process.memoryUsage().heapUsed
+}
+
+const run = params => {
+    const before = heap()
+    const stateManager = new KDStateManager({ title: _ => {}, revision: _ => {}, records: _ => {} }, Object.assign({ logLevel: 'silent' }, params))
+    let state = null
+    const append = time(_ => {
+        for (let n = 0; n < entries; n++) {
+            state = makeState(state, n)
+            stateManager.append(state)
+        }
+    })
+    const memory = heap() - before
+    const store = time(_ => {
+        for (let i = 0; i < 10; i++) stateManager.store()
+    }) / 10
+    const recall = time(_ => {
+        for (let i = 0; i < entries; i++) stateManager.recall(i)
+    })
+    const list = time(_ => {
+        for (let i = 0; i < 10; i++) stateManager.entries.list()
+    }) / 10
+    return { 'append (ms)': append, 'store() (ms)': store, ['recall() x' + entries + ' (ms)']: recall, 'entries.list() (ms)': list, 'heap (MB)': memory / 1048576 }
+}
+
+const results = {
+    copying: run({}),
+    immutable: run({ immutable: true }),
+}
+
+console.log(entries + ' entries of ' + items + ' records' + (global.gc ? '' : ' (run with --expose-gc for steadier heap numbers)'))
+const rows = Object.keys(results.copying)
+console.log(['', 'copying', 'immutable', 'speedup'].map(c => c.padStart(22)).join(''))
+rows.forEach(row => {
+    const a = results.copying[row]
+    const b = results.immutable[row]
+    console.log([row, a.toFixed(1), b.toFixed(1), (a / b).toFixed(1) + 'x'].map(c => String(c).padStart(22)).join(''))
+})
@@ -0,0 +1,117 @@
+/**
+ * Autosave checkpoints and journals, crash recovery, and storage failures.
+ *
+ *      node test/autosave.js
+ */
+
+const assert = require('assert')
+const KDStateManager = require('../KDStateManager.js')
+
+const template = { x: _ => {} }
+const xs = states => states.map(s => s.x)
+
+// A session that crashes after a checkpoint is recovered from the checkpoint plus the journaled changes after it.
+{
+    const storage = KDStateManager.adapters.memory()
+    const first = new KDStateManager(template, { logLevel: 'silent', storage: storage, autosave: { key: 'doc', throttle: 100000 } })
+    assert.strictEqual(first.autosave.recoverable(), false)
+    first.append({ x: 1 })
+    first.append({ x: 2 })
+    first.undo()
+    assert.strictEqual(first.autosave.status().journaled, 2)
+    first.autosave.flush()
+    assert.strictEqual(first.autosave.status().journaled, 0)
+    first.append({ x: 3 })
+    first.append({ x: new Date(5) })
+    first.index.set(1)
+    // The page goes away here without `autosave.stop()`.
+
+    const second = new KDStateManager(template, { logLevel: 'silent', storage: storage, autosave: { key: 'doc' } })
+    assert.strictEqual(second.autosave.recoverable(), true)
+    const recovered = second.recoverSession()
+    assert.deepStrictEqual(xs(recovered).slice(0, 3), [1, 2, 3])
+    assert.ok(recovered[3].x instanceof Date)
+    assert.deepStrictEqual(xs(second.store()), xs(recovered))
+    assert.strictEqual(second.index.current(), 1)
+    assert.strictEqual(second.autosave.recoverable(), false)
+    assert.strictEqual(second.recoverSession(), false)
+    second.autosave.stop()
+
+    // After a clean stop there is nothing to recover, and the checkpoint holds the whole history.
+    const third = new KDStateManager(template, { logLevel: 'silent', storage: storage, autosave: { key: 'doc' } })
+    assert.strictEqual(third.autosave.recoverable(), false)
+    third.storage.get('doc')
+    assert.strictEqual(third.store().length, 4)
+    assert.strictEqual(third.index.current(), 1)
+    third.autosave.stop()
+}
+
+// A full storage reaches `onError` as a `StorageError` with `quota: true`, and the next flush succeeds once there is room.
+{
+    const memory = KDStateManager.adapters.memory()
+    let full = false
+    const storage = Object.assign({}, memory, {
+        set: (key, value) => {
+            if (!full) return memory.set(key, value)
+            const e = new Error('The quota has been exceeded.')
+            e.name = 'QuotaExceededError'
+            throw e
+        },
+    })
+    const stateManager = new KDStateManager(template, { logLevel: 'silent', storage: storage, autosave: { key: 'doc' } })
+    const errors = []
+    stateManager.onError(e => errors.push(e))
+    full = true
+    stateManager.append({ x: 1 })
+    assert.ok(errors.length > 0)
+    errors.forEach(e => {
+        assert.ok(e instanceof KDStateManager.errors.StorageError)
+        assert.strictEqual(e.quota, true)
+    })
+    full = false
+    assert.strictEqual(stateManager.autosave.flush(), true)
+    stateManager.autosave.stop()
+}
+
+// Executed commands are journaled as commands, and an async adapter recovers them through Promises.
+{
+    const memory = KDStateManager.adapters.memory()
+    const storage = {
+        set: (key, value) => Promise.resolve(memory.set(key, value)),
+        get: key => Promise.resolve(memory.get(key)),
+        remove: key => Promise.resolve(memory.remove(key)),
+        list: _ => Promise.resolve(memory.list()),
+    }
+    const commands = { add: { apply: (s, n) => { s.x += n }, revert: (s, n) => { s.x -= n } } }
+    const params = { logLevel: 'silent', storage: storage, commands: commands }
+    const first = new KDStateManager(template, Object.assign({ autosave: { key: 'doc', idle: 10 } }, params))
+    first.append({ x: 0 })
+    first.execute({ type: 'add', payload: 2 })
+    first.execute({ type: 'add', payload: 3 })
+    let second
+    new Promise(resolve => setTimeout(resolve, 50))
+        .then(_ => {
+            first.execute({ type: 'add', payload: 4 })
+            return first.autosave.recoverable()
+        })
+        .then(_ => {
+            second = new KDStateManager(template, Object.assign({ autosave: { key: 'doc' } }, params))
+            return second.autosave.recoverable()
+        })
+        .then(recoverable => {
+            assert.strictEqual(recoverable, true)
+            return second.recoverSession()
+        })
+        .then(recovered => {
+            assert.deepStrictEqual(xs(recovered), [0, 2, 5, 9])
+            assert.strictEqual(second.index.current(), 3)
+            return second.autosave.stop()
+        })
+        .then(stopped => {
+            assert.strictEqual(stopped, true)
+            console.log('autosave: ok')
+        }, e => {
+            console.error(e)
+            process.exitCode = 1
+        })
+}
@@ -0,0 +1,136 @@
+/**
+ * The React, Vue, and Svelte bindings in each framework's headless utilities: react-test-renderer, Vue's `effectScope`
+ * and `nextTick`, and `svelte/store`. The repository has no dependencies, so the frameworks are not installed with it.
+ * Install them where Node can resolve them first, for example in the repository root:
+ *
+ *      npm install --no-save react@18 react-test-renderer@18 vue@3 svelte@4
+ *      node test/bindings.js
+ *
+ * A framework that cannot be required is skipped and named in the output.
+ */
+
+const assert = require('assert')
+const KDStateManager = require('../KDStateManager.js')
+
+/** `require()` a framework, or `null` if it is not installed. */
+const optional = name => {
+    try {
+        return require(name)
+    } catch (e) {
+        if (e.code === 'MODULE_NOT_FOUND' || e.code === 'ERR_MODULE_NOT_FOUND') return null
+        throw e
+    }
+}
+
+const template = { text: _ => {} }
+const create = _ => {
+    const stateManager = new KDStateManager(template, { logLevel: 'silent' })
+    stateManager.append({ text: 'a' })
+    return stateManager
+}
+const flags = history => [history.canUndo, history.canRedo, history.currentIndex]
+const skipped = []
+
+// A component using the hook re-renders after each change, with `useSyncExternalStore` and, as in React 17, without it.
+const react = _ => {
+    const React = optional('react')
+    const TestRenderer = optional('react-test-renderer')
+    if (!React || !TestRenderer) return skipped.push('react')
+    global.IS_REACT_ACT_ENVIRONMENT = true
+    const versions = [React, Object.assign({}, React, { useSyncExternalStore: undefined })]
+    versions.forEach(version => {
+        const stateManager = create()
+        const useStateHistory = KDStateManager.bindings.react(version)
+        let history = null
+        let renders = 0
+        const Toolbar = _ => {
+            history = useStateHistory(stateManager)
+            renders++
+            return null
+        }
+        let renderer = null
+        TestRenderer.act(_ => { renderer = TestRenderer.create(React.createElement(Toolbar)) })
+        assert.deepStrictEqual(flags(history), [false, false, 0])
+
+        TestRenderer.act(_ => { stateManager.append({ text: 'b' }) })
+        assert.deepStrictEqual(flags(history), [true, false, 1])
+        assert.deepStrictEqual(history.entries.map(entry => entry.state.text), ['a', 'b'])
+
+        TestRenderer.act(_ => { history.undo() })
+        assert.deepStrictEqual(flags(history), [false, true, 0])
+        TestRenderer.act(_ => { history.redo() })
+        assert.strictEqual(history.currentIndex, 1)
+
+        // Unmounting unsubscribes, so later changes render nothing.
+        TestRenderer.act(_ => renderer.unmount())
+        const count = renders
+        TestRenderer.act(_ => { stateManager.undo() })
+        assert.strictEqual(renders, count)
+    })
+}
+
+// Computed refs update after each change, and watchers stop when their scope is disposed.
+const vue = _ => {
+    const Vue = optional('vue')
+    if (!Vue) return skipped.push('vue')
+    const stateManager = create()
+    const scope = Vue.effectScope()
+    const seen = []
+    const history = scope.run(_ => {
+        const history = KDStateManager.bindings.vue(Vue)(stateManager)
+        Vue.watch(history.canUndo, value => seen.push(value))
+        return history
+    })
+    assert.deepStrictEqual([history.canUndo.value, history.canRedo.value, history.currentIndex.value], [false, false, 0])
+
+    stateManager.append({ text: 'b' })
+    return Vue.nextTick()
+        .then(_ => {
+            assert.deepStrictEqual(seen, [true])
+            assert.deepStrictEqual([history.canUndo.value, history.currentIndex.value], [true, 1])
+            assert.deepStrictEqual(history.entries.value.map(entry => entry.state.text), ['a', 'b'])
+            history.undo()
+            return Vue.nextTick()
+        })
+        .then(_ => {
+            assert.deepStrictEqual(seen, [true, false])
+            assert.deepStrictEqual([history.canUndo.value, history.canRedo.value, history.currentIndex.value], [false, true, 0])
+            scope.stop()
+            history.redo()
+            return Vue.nextTick()
+        })
+        .then(_ => assert.deepStrictEqual(seen, [true, false]))
+}
+
+// The stores follow the contract `get()` and `derived()` rely on.
+const svelte = _ => {
+    const store = optional('svelte/store')
+    if (!store) return skipped.push('svelte')
+    const stateManager = create()
+    const history = KDStateManager.bindings.svelte(stateManager)
+    const label = store.derived(history, view => view.canUndo + ' ' + view.currentIndex)
+    const seen = []
+    const unsubscribe = label.subscribe(value => seen.push(value))
+    assert.deepStrictEqual(flags(store.get(history)), [false, false, 0])
+    assert.strictEqual(store.get(history).entries, store.get(history.entries))
+
+    stateManager.append({ text: 'b' })
+    assert.deepStrictEqual(seen, ['false 0', 'true 1'])
+    history.undo()
+    assert.deepStrictEqual(flags(store.get(history)), [false, true, 0])
+    assert.deepStrictEqual(seen, ['false 0', 'true 1', 'false 0'])
+
+    unsubscribe()
+    history.redo()
+    assert.deepStrictEqual(seen, ['false 0', 'true 1', 'false 0'])
+    assert.strictEqual(store.get(history.canUndo), true)
+}
+
+Promise.resolve()
+    .then(react)
+    .then(vue)
+    .then(svelte)
+    .then(_ => console.log('bindings: ok' + (skipped.length ? ' (skipped ' + skipped.join(', ') + ': not installed)' : '')), e => {
+        console.error(e)
+        process.exitCode = 1
+    })
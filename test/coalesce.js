@@ -0,0 +1,42 @@
+/**
+ * Coalescing appends with `mergeKey`, `window`, and `shouldMerge`.
+ *
+ *      node test/coalesce.js
+ */
+
+const assert = require('assert')
+const KDStateManager = require('../KDStateManager.js')
+
+const create = _ => new KDStateManager({ volume: _ => {}, pan: _ => {} }, { logLevel: 'silent' })
+
+// Appends with the same key merge; a different key starts a new step.
+{
+    const stateManager = create()
+    stateManager.append({ volume: 1 }, null, { mergeKey: 'volume' })
+    stateManager.append({ volume: 2 }, null, { mergeKey: 'volume' })
+    stateManager.append({ pan: 1 }, null, { mergeKey: 'pan' })
+    assert.deepStrictEqual(stateManager.store(), [{ volume: 2 }, { pan: 1 }])
+}
+
+// An unkeyed append does not merge into a keyed group, even inside its window, and the reverse.
+{
+    const stateManager = create()
+    stateManager.append({ volume: 1 }, null, { mergeKey: 'volume', window: 60000 })
+    stateManager.append({ pan: 1 }, null, { window: 60000 })
+    stateManager.append({ pan: 2 }, null, { window: 60000 })
+    stateManager.append({ volume: 2 }, null, { mergeKey: 'volume', window: 60000 })
+    assert.deepStrictEqual(stateManager.store(), [{ volume: 1 }, { pan: 2 }, { volume: 2 }])
+}
+
+// `shouldMerge` decides between unkeyed appends, and `merge: false` always adds a step.
+{
+    const stateManager = create()
+    const opts = { shouldMerge: (prev, next) => prev.volume === next.volume }
+    stateManager.append({ volume: 1, pan: 0 }, null, opts)
+    stateManager.append({ volume: 1, pan: 1 }, null, opts)
+    stateManager.append({ volume: 2, pan: 1 }, null, opts)
+    stateManager.append({ volume: 2, pan: 2 }, null, Object.assign({ merge: false }, opts))
+    assert.deepStrictEqual(stateManager.store(), [{ volume: 1, pan: 1 }, { volume: 2, pan: 1 }, { volume: 2, pan: 2 }])
+}
+
+console.log('coalesce: ok')
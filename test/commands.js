@@ -0,0 +1,123 @@
+/**
+ * Command mode: executing, undoing, and merging commands, snapshots, export and import, and transactions.
+ *
+ *      node test/commands.js
+ */
+
+const assert = require('assert')
+const KDStateManager = require('../KDStateManager.js')
+
+const commands = {
+    insertText: {
+        apply: (state, p) => { state.text = state.text.slice(0, p.at) + p.text + state.text.slice(p.at) },
+        revert: (state, p) => { state.text = state.text.slice(0, p.at) + state.text.slice(p.at + p.text.length) },
+        merge: (a, b) => b.at === a.at + a.text.length ? { at: a.at, text: a.text + b.text } : undefined,
+    },
+    upper: {
+        apply: state => ({ text: state.text.toUpperCase(), lower: state.text }),
+        revert: state => ({ text: state.lower }),
+    },
+}
+const insert = (at, text) => ({ type: 'insertText', payload: { at: at, text: text } })
+const create = (params, shown) => new KDStateManager({ text: value => shown && shown.push(value) },
+    Object.assign({ logLevel: 'silent', commands: commands }, params))
+const texts = stateManager => stateManager.store().map(s => s.text)
+
+// `execute()` applies to the current state, undo and redo revert and reapply, and a new command drops the redo steps.
+{
+    const shown = []
+    const stateManager = create({}, shown)
+    stateManager.append({ text: 'hello' })
+    assert.deepStrictEqual(stateManager.execute(insert(5, ' world')), { text: 'hello world' })
+    stateManager.execute(insert(0, '>'))
+    assert.deepStrictEqual(shown, ['hello world', '>hello world'])
+    assert.deepStrictEqual(stateManager.undo(), { text: 'hello world' })
+    assert.deepStrictEqual(stateManager.undo(), { text: 'hello' })
+    assert.strictEqual(stateManager.undo(), false)
+    assert.deepStrictEqual(stateManager.redo(), { text: 'hello world' })
+    assert.deepStrictEqual(stateManager.recall(2), { text: '>hello world' })
+    stateManager.recall(1)
+    stateManager.execute(insert(11, '!'))
+    assert.deepStrictEqual(texts(stateManager), ['hello', 'hello world', 'hello world!'])
+    assert.strictEqual(stateManager.entries.list()[0].command, null)
+    assert.deepStrictEqual(stateManager.entries.list()[2].command, insert(11, '!'))
+
+    // A handler that returns a new state instead of changing it in place.
+    stateManager.execute({ type: 'upper' })
+    assert.deepStrictEqual(stateManager.store()[3].text, 'HELLO WORLD!')
+    assert.deepStrictEqual(stateManager.undo(), { text: 'hello world!' })
+}
+
+// Commands with the same `mergeKey` merge through the type's `merge`, and become one undo step.
+{
+    const stateManager = create()
+    stateManager.append({ text: '' })
+    stateManager.execute(insert(0, 'H'), null, { mergeKey: 'typing' })
+    stateManager.execute(insert(1, 'i'), null, { mergeKey: 'typing' })
+    stateManager.execute(insert(0, '>'), null, { mergeKey: 'typing' })
+    assert.deepStrictEqual(texts(stateManager), ['', 'Hi', '>Hi'])
+    assert.deepStrictEqual(stateManager.entries.list()[1].command, insert(0, 'Hi'))
+    stateManager.undo()
+    assert.deepStrictEqual(stateManager.undo(), { text: '' })
+}
+
+// Snapshots and deletes in the middle keep every later state, and export and import carry the commands.
+{
+    const stateManager = create()
+    stateManager.append({ text: '' })
+    'abcd'.split('').forEach((c, i) => stateManager.execute(insert(i, c)))
+    assert.strictEqual(stateManager.commands.snapshot(2).text, 'ab')
+    stateManager.delete(1)
+    assert.deepStrictEqual(texts(stateManager), ['', 'ab', 'abc', 'abcd'])
+
+    const envelope = JSON.parse(JSON.stringify(stateManager.export()))
+    assert.ok(Array.isArray(envelope.commands))
+    assert.deepStrictEqual(envelope.store.map(s => s && s.text), ['', 'ab', null, null])
+    const copy = create()
+    assert.ok(copy.import(envelope))
+    assert.deepStrictEqual(texts(copy), texts(stateManager))
+    assert.deepStrictEqual(copy.undo(), { text: 'abc' })
+
+    // Instances in snapshot mode, or without the command types the envelope uses, refuse it.
+    const errors = []
+    const others = [new KDStateManager({ text: _ => {} }, { logLevel: 'silent' }), create({ commands: { upper: commands.upper } })]
+    others.forEach(other => {
+        other.onError(e => errors.push(e.code))
+        assert.strictEqual(other.import(envelope), false)
+        assert.deepStrictEqual(other.store(), [])
+    })
+    assert.deepStrictEqual(errors, ['INVALID_SNAPSHOT', 'INVALID_SNAPSHOT'])
+}
+
+// A failing command or transaction leaves the history as it was.
+{
+    const stateManager = create()
+    const errors = []
+    stateManager.onError(e => errors.push(e.code))
+    stateManager.commands.add('fail', { apply: state => { state.text = 'broken'; throw new Error('fail') }, revert: _ => {} })
+    stateManager.append({ text: 'a' })
+    stateManager.execute(insert(1, 'b'))
+    assert.strictEqual(stateManager.execute({ type: 'fail' }), false)
+    assert.strictEqual(stateManager.execute({ type: 'missing' }), false)
+    assert.deepStrictEqual(texts(stateManager), ['a', 'ab'])
+
+    stateManager.transaction(sm => {
+        sm.execute(insert(2, 'c'))
+        sm.execute(insert(3, 'd'))
+        sm.execute({ type: 'fail' })
+    })
+    assert.deepStrictEqual(texts(stateManager), ['a', 'ab'])
+    assert.strictEqual(stateManager.index.current(), 1)
+    assert.deepStrictEqual(stateManager.undo(), { text: 'a' })
+    assert.deepStrictEqual(errors.slice(0, 2), ['HANDLER_FAILURE', 'INVALID_ARGUMENT'])
+    assert.strictEqual(errors[errors.length - 1], 'TRANSACTION_FAILED')
+
+    stateManager.redo()
+    stateManager.transaction(sm => {
+        sm.execute(insert(2, 'c'))
+        sm.execute(insert(3, 'd'))
+    })
+    assert.deepStrictEqual(texts(stateManager), ['a', 'ab', 'abc', 'abcd'])
+}
+
+console.log('commands: ok')
@@ -0,0 +1,41 @@
+/**
+ * Template descriptors under each `validation` mode.
+ *
+ *      node test/descriptors.js
+ */
+
+const assert = require('assert')
+const KDStateManager = require('../KDStateManager.js')
+
+const template = {
+    title: { type: 'string', required: true, default: 'Untitled' },
+    zoom: { type: 'number', default: 1 },
+    notes: { type: 'string' },
+}
+const create = validation => {
+    const stateManager = new KDStateManager(template, { logLevel: 'silent', validation: validation })
+    const errors = []
+    stateManager.onError(e => errors.push(e))
+    return { stateManager: stateManager, errors: errors }
+}
+
+// `coerce` fills the default of every missing key, required or not, and converts mistyped values.
+{
+    const { stateManager, errors } = create('coerce')
+    stateManager.append({})
+    stateManager.append({ title: 'a', zoom: '2' })
+    stateManager.append({ title: 3, zoom: 'wide' })
+    assert.deepStrictEqual(errors, [])
+    assert.deepStrictEqual(stateManager.store(), [{ title: 'Untitled', zoom: 1 }, { title: 'a', zoom: 2 }, { title: '3', zoom: 1 }])
+}
+
+// `reject` leaves optional keys missing and refuses a state without a required key.
+{
+    const { stateManager, errors } = create('reject')
+    stateManager.append({ title: 'a' })
+    stateManager.append({ zoom: 2 })
+    assert.deepStrictEqual(stateManager.store(), [{ title: 'a' }])
+    assert.deepStrictEqual(errors.map(e => [e.code, e.key]), [['INVALID_STATE', 'title']])
+}
+
+console.log('descriptors: ok')
@@ -0,0 +1,48 @@
+/**
+ * Diff mode keeps the same states as full mode, including states that are falsy.
+ *
+ *      node test/diff.js
+ */
+
+const assert = require('assert')
+const KDStateManager = require('../KDStateManager.js')
+
+const states = [0, '', false, null, { a: 1 }, { a: 2 }, 0, { a: [1, 2] }]
+
+const run = params => {
+    const stateManager = new KDStateManager({}, Object.assign({ logLevel: 'silent' }, params))
+    const errors = []
+    stateManager.onError(e => errors.push(e.code))
+    states.forEach(state => stateManager.append(state))
+    const steps = [stateManager.store()]
+    stateManager.insert(1, { a: 3 })
+    stateManager.delete(5)
+    stateManager.replace(5, { a: 4 })
+    steps.push(stateManager.store())
+    stateManager.undo()
+    stateManager.undo()
+    steps.push(stateManager.store(), stateManager.index.current(), errors)
+    return steps
+}
+
+// Falsy states are stored as keyframes and read back, whether or not they fall on the keyframe interval. Recalling
+// one reports the same failure as in full mode, since the recalled state is the result.
+{
+    const full = run({})
+    assert.deepStrictEqual(full[0], states)
+    ;[1, 2, 3].forEach(keyframeInterval => assert.deepStrictEqual(run({ diff: true, keyframeInterval: keyframeInterval }), full))
+}
+
+// Patches on top of a falsy keyframe.
+{
+    const stateManager = new KDStateManager({}, { logLevel: 'silent', diff: true, keyframeInterval: 2 })
+    stateManager.append(null)
+    stateManager.append({ a: 1 })
+    stateManager.append({ a: 1, b: 2 })
+    stateManager.append({ b: 2 })
+    assert.deepStrictEqual(stateManager.store(), [null, { a: 1 }, { a: 1, b: 2 }, { b: 2 }])
+    assert.deepStrictEqual(stateManager.recall(0), null)
+    assert.deepStrictEqual(stateManager.recall(3), { b: 2 })
+}
+
+console.log('diff: ok')
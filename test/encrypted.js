@@ -0,0 +1,83 @@
+/**
+ * The encrypted storage adapter refuses any value it did not write under the same key with the same key material.
+ *
+ *      node test/encrypted.js
+ */
+
+const assert = require('assert')
+const crypto = require('crypto')
+const KDStateManager = require('../KDStateManager.js')
+
+const key = crypto.randomBytes(32)
+const raw = KDStateManager.adapters.memory()
+const store = [{ text: 'secret one' }, { text: 'secret two' }]
+
+const create = adapter => {
+    const applied = []
+    const stateManager = new KDStateManager({ text: value => applied.push(value) }, { logLevel: 'silent', storage: adapter })
+    const errors = []
+    stateManager.onError(e => errors.push(e))
+    return { stateManager: stateManager, applied: applied, errors: errors }
+}
+
+/** Load `k` into a new instance and check it was refused before reaching `import()` or the template. */
+const refused = (k, adapter) => {
+    const { stateManager, applied, errors } = create(adapter || KDStateManager.adapters.encrypted(raw, key))
+    return stateManager.storage.get(k).then(result => {
+        assert.strictEqual(result, false, k)
+        assert.deepStrictEqual(errors.map(e => e.code), ['INVALID_SNAPSHOT'], k)
+        assert.strictEqual(errors[0].key, k)
+        assert.deepStrictEqual(stateManager.store(), [], k)
+        assert.deepStrictEqual(applied, [], k)
+    })
+}
+
+/** Store a changed copy of the saved value under `k`. */
+const edit = (k, fn) => {
+    const blob = JSON.parse(raw.get('doc'))
+    fn(blob)
+    raw.set(k, JSON.stringify(blob))
+}
+
+const saved = create(KDStateManager.adapters.encrypted(raw, key))
+store.forEach(state => saved.stateManager.append(state))
+
+Promise.resolve(saved.stateManager.storage.set('doc'))
+    // The saved value holds no plaintext, and loads back with the same key.
+    .then(_ => {
+        assert.ok(!raw.get('doc').includes('secret'))
+        const { stateManager, errors } = create(KDStateManager.adapters.encrypted(raw, new Uint8Array(key)))
+        return stateManager.storage.get('doc').then(_ => {
+            assert.deepStrictEqual(errors, [])
+            assert.deepStrictEqual(stateManager.store(), store)
+            assert.strictEqual(stateManager.index.current(), 1)
+        })
+    })
+    // Modified ciphertext or iv.
+    .then(_ => {
+        edit('tampered', blob => blob.data = (blob.data[0] === 'A' ? 'B' : 'A') + blob.data.slice(1))
+        edit('iv', blob => blob.iv = Buffer.from(Buffer.from(blob.iv, 'base64').map(b => b ^ 1)).toString('base64'))
+        return refused('tampered').then(_ => refused('iv'))
+    })
+    // Truncated ciphertext, and a value cut short so it is no longer JSON.
+    .then(_ => {
+        edit('truncated', blob => blob.data = blob.data.slice(0, -8))
+        raw.set('cut', raw.get('doc').slice(0, 40))
+        return refused('truncated').then(_ => refused('cut'))
+    })
+    // A valid value moved to another key.
+    .then(_ => {
+        raw.set('moved', raw.get('doc'))
+        return refused('moved')
+    })
+    // A plaintext snapshot written without the adapter.
+    .then(_ => {
+        raw.set('plain', JSON.stringify(saved.stateManager.export()))
+        return refused('plain')
+    })
+    // The right value read with another key.
+    .then(_ => refused('doc', KDStateManager.adapters.encrypted(raw, crypto.randomBytes(32))))
+    .then(_ => console.log('encrypted: ok'), e => {
+        console.error(e)
+        process.exitCode = 1
+    })
@@ -0,0 +1,46 @@
+/**
+ * Eviction with `maxLength`, by the `'oldest'` and `'thin'` strategies.
+ *
+ *      node test/evict.js
+ */
+
+const assert = require('assert')
+const KDStateManager = require('../KDStateManager.js')
+
+const create = params => {
+    const stateManager = new KDStateManager({ n: _ => {} }, Object.assign({ logLevel: 'silent' }, params))
+    const evicted = []
+    stateManager.onEvict(states => evicted.push(states.map(s => s.state.n)))
+    return { stateManager: stateManager, evicted: evicted }
+}
+const ns = stateManager => stateManager.store().map(s => s.n)
+
+// `'oldest'` removes one state per append over the cap.
+{
+    const { stateManager, evicted } = create({ maxLength: 3 })
+    for (let n = 0; n < 5; n++) stateManager.append({ n: n })
+    assert.deepStrictEqual(ns(stateManager), [2, 3, 4])
+    assert.deepStrictEqual(evicted, [[0], [1]])
+}
+
+// `'thin'` removes only as many states as the cap needs: the oldest that are not a `thinEvery`th index.
+{
+    const { stateManager, evicted } = create({ maxLength: 10, evict: 'thin', thinEvery: 2 })
+    for (let n = 0; n < 11; n++) stateManager.append({ n: n })
+    assert.deepStrictEqual(evicted, [[1]])
+    assert.strictEqual(ns(stateManager).length, 10)
+
+    stateManager.store([0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12].map(n => ({ n: n })))
+    assert.deepStrictEqual(evicted[1], [1, 3, 5])
+    assert.deepStrictEqual(ns(stateManager), [0, 2, 4, 6, 7, 8, 9, 10, 11, 12])
+}
+
+// Once the thinning pass runs out, the oldest states go next, keeping the current and newest states.
+{
+    const { stateManager, evicted } = create({ maxLength: 2, evict: 'thin', thinEvery: 2 })
+    stateManager.store([0, 1, 2, 3, 4].map(n => ({ n: n })))
+    assert.deepStrictEqual(evicted, [[0, 1, 3]])
+    assert.deepStrictEqual(ns(stateManager), [2, 4])
+}
+
+console.log('evict: ok')
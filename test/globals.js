@@ -0,0 +1,62 @@
+/**
+ * Loading the file with a plain `<script>`, as example/index.html does, declares only `KDStateManager`.
+ *
+ *      node test/globals.js
+ */
+
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const vm = require('vm')
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'KDStateManager.js'), 'utf8')
+const errorNames = ['KDStateManagerError', 'InvalidIndexError', 'NotFoundError', 'InvalidTemplateError', 'InvalidStateError',
+    'InvalidSnapshotError', 'InvalidArgumentError', 'StorageError', 'HandlerError', 'TransactionError', 'SyncError',
+    'OperationVetoedError']
+
+// Each script shares the page's global scope, like consecutive `<script>` tags.
+const page = scripts => {
+    const context = vm.createContext({ btoa: btoa, atob: atob })
+    scripts.forEach(script => vm.runInContext(script, context))
+    return context
+}
+
+// Only `KDStateManager` is declared, and the error classes are reachable through `KDStateManager.errors`.
+{
+    const context = page([source])
+    assert.strictEqual(vm.runInContext('typeof KDStateManager', context), 'function')
+    errorNames.forEach(name => {
+        assert.strictEqual(vm.runInContext('typeof ' + name, context), 'undefined', name)
+        assert.strictEqual(vm.runInContext('typeof KDStateManager.errors.' + name, context), 'function', name)
+    })
+    assert.ok(vm.runInContext('new KDStateManager.errors.NotFoundError("x") instanceof KDStateManager.errors.KDStateManagerError', context))
+}
+
+// A page that already declares the same names still loads the file.
+{
+    const context = page([errorNames.map(name => 'const ' + name + ' = null').join('\n'), source])
+    assert.strictEqual(vm.runInContext('typeof KDStateManager', context), 'function')
+    assert.strictEqual(vm.runInContext('NotFoundError', context), null)
+}
+
+// Module helpers with common names stay private, and the library keeps using its own.
+{
+    const context = page(['const base64 = null, historySources = null', source])
+    assert.strictEqual(vm.runInContext('base64', context), null)
+    assert.strictEqual(vm.runInContext('historySources', context), null)
+    const bytes = vm.runInContext(`
+        const serializer = KDStateManager.serializers.json()
+        Array.from(new Uint8Array(serializer.parse(serializer.stringify({ data: new Uint8Array([0, 1, 255]).buffer })).data))
+    `, context)
+    assert.deepStrictEqual(Array.from(bytes), [0, 1, 255])
+    const canUndo = vm.runInContext(`
+        const stateManager = new KDStateManager({ text: _ => {} }, { logLevel: 'silent' })
+        const history = KDStateManager.bindings.history(stateManager)
+        stateManager.append({ text: 'a' })
+        stateManager.append({ text: 'b' })
+        history === KDStateManager.bindings.history(stateManager) && history.get().canUndo
+    `, context)
+    assert.strictEqual(canUndo, true)
+}
+
+console.log('globals: ok')
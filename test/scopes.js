@@ -0,0 +1,67 @@
+/**
+ * Child managers composed under a parent history.
+ *
+ *      node test/scopes.js
+ */
+
+const assert = require('assert')
+const KDStateManager = require('../KDStateManager.js')
+
+// Parent undo reaches back past the first change of every scope, including one that changed later.
+{
+    const shown = { calls: [] }
+    const root = new KDStateManager({})
+    const editor = root.scopes.add('editor', { text: t => shown.text = t })
+    const panel = root.scopes.add('panel', { open: { type: ['boolean', 'undefined'], default: false, apply: o => shown.calls.push(shown.open = o) } })
+    editor.append({ text: 'draft' })
+    panel.append({ open: true })
+    editor.append({ text: 'final' })
+
+    root.undo()
+    assert.strictEqual(shown.text, 'draft')
+    assert.deepStrictEqual(shown.calls, [])
+    root.undo()
+    assert.strictEqual(shown.text, 'draft')
+    assert.deepStrictEqual(shown.calls, [false])
+    root.undo()
+    assert.strictEqual(shown.text, undefined)
+    assert.deepStrictEqual(shown.calls, [false])
+    assert.strictEqual(root.undo(), false)
+
+    root.redo()
+    root.redo()
+    assert.strictEqual(shown.text, 'draft')
+    assert.deepStrictEqual(shown.calls, [false, true])
+    root.redo()
+    assert.strictEqual(shown.text, 'final')
+    assert.strictEqual(editor.index.current(), 1)
+    assert.strictEqual(panel.index.current(), 0)
+}
+
+// A scope added with a history starts from its current entry; older parent states restore it.
+{
+    let shown
+    const root = new KDStateManager({ title: _ => {} })
+    root.append({ title: 'before' })
+    const list = root.scopes.add('list', { items: items => shown = items }, { store: [{ items: [] }, { items: ['a'] }], currentIndex: 1 })
+    list.append({ items: ['a', 'b'] })
+    root.undo()
+    assert.deepStrictEqual(shown, ['a'])
+    assert.strictEqual(list.index.current(), 1)
+}
+
+// The parent snapshot holds every child.
+{
+    const root = new KDStateManager({})
+    const a = root.scopes.add('a', { v: _ => {} })
+    a.append({ v: 1 })
+    a.append({ v: 2 })
+    const copy = new KDStateManager({})
+    const b = copy.scopes.add('a', { v: _ => {} })
+    assert(copy.import(JSON.parse(JSON.stringify(root.export()))))
+    assert.deepStrictEqual(b.store(), [{ v: 1 }, { v: 2 }])
+    copy.undo()
+    assert.strictEqual(b.index.current(), 0)
+}
+
+console.log('scopes: ok')
@@ -0,0 +1,63 @@
+/**
+ * Sync between instances over an in-process channel.
+ *
+ *      node test/sync.js
+ */
+
+const assert = require('assert')
+const KDStateManager = require('../KDStateManager.js')
+
+const template = { text: _ => {} }
+const texts = stateManager => stateManager.store().map(s => s.text)
+
+// Histories built before connecting converge on one of them, and the next change lands on top of it.
+{
+    const channel = KDStateManager.channels.memory()
+    const x = new KDStateManager(template, { logLevel: 'silent' })
+    const y = new KDStateManager(template, { logLevel: 'silent' })
+    x.append({ text: 'x1' })
+    x.append({ text: 'x2' })
+    y.append({ text: 'y1' })
+    y.append({ text: 'y2' })
+    const conflicts = []
+    x.on('sync', e => e.conflict && conflicts.push('x'))
+    y.on('sync', e => e.conflict && conflicts.push('y'))
+    x.sync.connect(channel)
+    y.sync.connect(channel)
+    assert.deepStrictEqual(texts(x), texts(y))
+    assert.strictEqual(conflicts.length, 1)
+    x.append({ text: 'x3' })
+    assert.deepStrictEqual(texts(y), texts(x))
+    assert.strictEqual(texts(y).length, 3)
+}
+
+// Histories passed as the `store` param have equal heads; the entries still decide.
+{
+    const channel = KDStateManager.channels.memory()
+    const x = new KDStateManager(template, { store: [{ text: 'a' }], logLevel: 'silent' })
+    const y = new KDStateManager(template, { store: [{ text: 'b' }, { text: 'c' }], logLevel: 'silent' })
+    x.sync.connect(channel)
+    y.sync.connect(channel)
+    assert.deepStrictEqual(texts(x), texts(y))
+    y.append({ text: 'd' })
+    assert.deepStrictEqual(texts(x), texts(y))
+}
+
+// A context that connects with an empty history catches up without a conflict.
+{
+    const channel = KDStateManager.channels.memory()
+    const x = new KDStateManager(template, { sync: channel })
+    x.append({ text: 'a' })
+    const y = new KDStateManager(template)
+    let conflict = false
+    y.on('sync', e => conflict = conflict || e.conflict)
+    y.sync.connect(channel)
+    assert.deepStrictEqual(texts(y), ['a'])
+    assert.strictEqual(conflict, false)
+    y.append({ text: 'b' })
+    x.undo()
+    assert.deepStrictEqual(texts(x), ['a', 'b'])
+    assert.strictEqual(y.index.current(), 0)
+}
+
+console.log('sync: ok')